@@ -5,15 +5,107 @@
  * Provides realistic mock responses for local development and testing
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
+const { WebSocketServer } = require('ws');
+const embeddings = require('./lib/embeddings');
+const functionCalling = require('./lib/function-calling');
+const codeExecution = require('./lib/code-execution');
+const images = require('./lib/images');
+const SearchIndex = require('./lib/search-index');
+const FaultInjector = require('./lib/fault-injector');
+const RecordReplay = require('./lib/record-replay');
+const FixtureSet = require('./lib/fixtures');
+const ModelRegistry = require('./lib/model-registry');
+const FileStore = require('./lib/file-store');
+const CacheStore = require('./lib/cache-store');
+const BatchStore = require('./lib/batch-store');
+const RequestJournal = require('./lib/request-journal');
+const QuotaManager = require('./lib/quota-manager');
+const KeyStore = require('./lib/key-store');
+const Logger = require('./lib/logger');
+const Metrics = require('./lib/metrics');
+const { createRandom, currentTime } = require('./lib/random');
+const safety = require('./lib/safety');
+const { generateStructuredOutput } = require('./lib/structured-output');
+const openaiCompat = require('./lib/openai-compat');
+const LiveSession = require('./lib/live-session');
+const { validateGenerateContentRequest, validateCachedContentRequest, buildValidationError } = require('./lib/request-validator');
+
+// Lead-ins that keep extra candidates distinct when they draw the same text
+const CANDIDATE_OPENERS = [
+    'Alternatively:',
+    'Another way to look at it:',
+    'Put differently:',
+    'From another angle:',
+    'In other words:',
+    'To approach it differently:',
+    'One more take:'
+];
+
+// Client-supplied x-request-id values are reused when they look like an id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Live API WebSocket endpoint, served under v1alpha as well
+const LIVE_PATH = /^\/ws\/google\.ai\.generativelanguage\.v1(alpha|beta)\.GenerativeService\.BidiGenerateContent$/;
+
+// How long stop() waits for in-flight requests before cutting their connections
+const STOP_TIMEOUT_MS = 5000;
+
+// Multipart uploads and resumable start requests are read whole; raw media is streamed to disk
+const readUploadBody = express.raw({ type: () => true, limit: '20mb' });
 
 class GeminiMockServer {
-    constructor(port = 3000) {
+    /**
+     * @param {number} port - Port to listen on; 0 picks a free one
+     * @param {object} options - Server options. inProcess suits test suites: it binds to
+     *   127.0.0.1 and turns off logging and simulated delays. Uploads go to filesDir, or
+     *   else to a private directory that stop() removes. quotas and keys take a file path
+     *   or a config object. quiet logs errors only; logLevel picks the level explicitly.
+     *   batchTimeline is { pendingMs, runningMs } for batch jobs; without it, zeroLatency
+     *   finishes them at once
+     */
+    constructor(port = 3000, options = {}) {
         this.app = express();
         this.port = port;
+        this.inProcess = Boolean(options.inProcess);
+        this.host = options.host || (this.inProcess ? '127.0.0.1' : undefined);
+        this.quiet = Boolean(options.quiet ?? this.inProcess);
+        this.logger = new Logger({ level: options.logLevel || (this.quiet ? 'error' : 'info') });
+        this.metrics = new Metrics();
+        this.server = null;
+        this.url = null;
         this.requestCount = 0;
+        this.seed = options.seed;
+        this.seedCounters = {};
+        this.zeroLatency = Boolean(options.zeroLatency ?? this.inProcess);
+        this.privateFilesDir = options.filesDir ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-mock-files-'));
+        this.faultInjector = new FaultInjector({
+            profile: options.profile,
+            zeroLatency: this.zeroLatency
+        });
+        this.fixtures = new FixtureSet({ dir: options.fixtures });
+        this.models = new ModelRegistry({ file: options.models });
+        this.searchIndex = new SearchIndex({ file: options.searchIndex });
+        this.files = new FileStore({ dir: options.filesDir || this.privateFilesDir, zeroLatency: this.zeroLatency });
+        this.caches = new CacheStore();
+        this.imageFiles = new WeakMap();
+        this.batchTimeline = options.batchTimeline || (this.zeroLatency ? { pendingMs: 0, runningMs: 0 } : undefined);
+        this.batches = this.createBatchStore();
+        this.journal = new RequestJournal();
+        this.quotas = new QuotaManager(typeof options.quotas === 'object' ? { config: options.quotas } : { file: options.quotas });
+        this.keys = new KeyStore(typeof options.keys === 'object' ? { config: options.keys } : { file: options.keys });
+        this.recordReplay = new RecordReplay({
+            mode: options.mode,
+            upstream: options.upstream,
+            cassette: options.cassette
+        });
+        this.liveServer = new WebSocketServer({ noServer: true });
+        this.liveSessions = new Set();
 
         this.setupMiddleware();
         this.setupRoutes();
@@ -21,62 +113,128 @@ class GeminiMockServer {
     }
 
     setupMiddleware() {
+        // Request IDs tie log lines, journal entries and responses together
+        this.app.use((req, res, next) => {
+            const given = req.headers['x-request-id'];
+            req.id = REQUEST_ID_PATTERN.test(given || '') ? given : crypto.randomUUID();
+            res.set('X-Request-Id', req.id);
+            next();
+        });
+
+        // Prometheus metrics for /metrics
+        this.app.use(this.metrics.middleware(req => this.journal.describeRequest(req)));
+
+        // Request logging, one line per request once its response is done
+        this.app.use((req, res, next) => {
+            const requestNumber = ++this.requestCount;
+            const path = req.path;
+            const startedAt = Date.now();
+            let logged = false;
+
+            const log = () => {
+                if (logged) {
+                    return;
+                }
+                logged = true;
+
+                this.logger.info('request', {
+                    requestId: req.id,
+                    requestNumber,
+                    method: req.method,
+                    path,
+                    status: res.headersSent ? res.statusCode : null,
+                    durationMs: Date.now() - startedAt,
+                    ...(!res.writableFinished && { aborted: true }),
+                    ...(req.fault && { fault: req.fault.type })
+                });
+            };
+
+            res.on('finish', log);
+            res.on('close', log);
+            next();
+        });
+
         // CORS
         this.app.use(cors());
 
-        // JSON parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        // The OpenAI-compatible endpoints return errors as a one-element list, as the API does
+        this.app.use('/v1beta/openai', (req, res, next) => {
+            const json = res.json;
+
+            res.json = function (body) {
+                return json.call(this, res.statusCode >= 400 && body && body.error ? [body] : body);
+            };
+            next();
+        });
+
+        // JSON parsing. Upload bodies are left to the upload route, which runs after the key check
+        const parseJson = express.json({ limit: '10mb' });
+        this.app.use((req, res, next) => req.path.startsWith('/upload/') ? next() : parseJson(req, res, next));
 
-        // Request logging
+        // Per-request random generator (seeded when --seed or x-mock-seed is given)
         this.app.use((req, res, next) => {
-            this.requestCount++;
-            console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - Request #${this.requestCount}`);
+            req.random = this.createRequestRandom(req);
             next();
         });
 
-        // Rate limiting (simulate API limits)
-        const limiter = rateLimit({
-            windowMs: 60 * 1000, // 1 minute
-            max: 60, // 60 requests per minute
-            message: {
-                error: {
-                    code: 429,
-                    message: 'Rate limit exceeded. Please try again later.',
-                    status: 'RESOURCE_EXHAUSTED'
-                }
+        // Request journal for the /__admin/requests API
+        this.app.use(this.journal.middleware());
+
+        // API key and bearer token checks against the key store
+        this.app.use(['/v1beta', '/upload/v1beta'], (req, res, next) => {
+            // Resumable upload URLs carry their session id instead of a key
+            if (req.baseUrl === '/upload/v1beta' && req.query.upload_id) {
+                return next();
             }
-        });
-        this.app.use('/v1beta', limiter);
 
-        // API key validation
-        this.app.use('/v1beta', (req, res, next) => {
-            const apiKey = req.query.key || req.headers['x-api-key'];
+            // OpenAI clients send the API key as a bearer token
+            const { credential, error } = this.keys.authenticate(req, {
+                bearerApiKey: req.baseUrl === '/v1beta' && req.path.startsWith('/openai/')
+            });
 
-            if (!apiKey) {
-                return res.status(401).json({
-                    error: {
-                        code: 401,
-                        message: 'API key is required',
-                        status: 'UNAUTHENTICATED'
-                    }
-                });
+            if (error) {
+                return res.status(error.error.code).json(error);
             }
 
-            if (apiKey === 'invalid_key_12345') {
-                return res.status(401).json({
-                    error: {
-                        code: 401,
-                        message: 'Invalid API key provided',
-                        status: 'UNAUTHENTICATED'
-                    }
-                });
+            req.apiKey = credential;
+            next();
+        });
+
+        // Record mode proxies to the real API, replay mode answers from a cassette
+        this.app.use('/v1beta', this.recordReplay.middleware());
+
+        // Chat completions are translated before quotas and faults, which then treat them
+        // as the generateContent call they become
+        this.app.post('/v1beta/openai/chat/completions', (req, res, next) => {
+            try {
+                const { model, stream, includeUsage, request } = openaiCompat.toGeminiRequest(req.body);
+
+                req.modelCall = {
+                    model,
+                    method: stream ? 'streamGenerateContent' : 'generateContent',
+                    body: request,
+                    includeUsage
+                };
+            } catch (error) {
+                return this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
             }
 
             next();
         });
+
+        // Per-key, per-model rate limits for the key's quota tier
+        this.app.use('/v1beta', this.quotas.middleware(body => this.countQuotaTokens(body)));
+
+        // Latency and injected faults for the selected profile
+        this.app.use('/v1beta', this.faultInjector.middleware());
     }
 
     setupRoutes() {
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', (req, res) => {
+            res.type('text/plain; version=0.0.4; charset=utf-8').send(this.metrics.render());
+        });
+
         // Health check
         this.app.get('/health', (req, res) => {
             res.json({
@@ -87,42 +245,317 @@ class GeminiMockServer {
             });
         });
 
+        // Fault injection controls
+        this.app.get('/__admin/faults', (req, res) => {
+            res.json(this.faultInjector.getState());
+        });
+
+        this.app.put('/__admin/faults', (req, res) => {
+            const { enabled, profile } = req.body;
+
+            try {
+                if (profile !== undefined) {
+                    this.faultInjector.loadProfile(profile);
+                }
+            } catch (error) {
+                return this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+            }
+
+            if (enabled !== undefined) {
+                this.faultInjector.enabled = Boolean(enabled);
+            }
+
+            res.json(this.faultInjector.getState());
+        });
+
+        // Response fixtures
+        this.app.get('/__admin/fixtures', (req, res) => {
+            res.json(this.fixtures.getSummary());
+        });
+
+        this.app.post('/__admin/fixtures/reload', (req, res) => {
+            try {
+                this.fixtures.load();
+            } catch (error) {
+                return this.sendError(res, 400, `Could not reload fixtures: ${error.message}`, 'INVALID_ARGUMENT');
+            }
+
+            res.json(this.fixtures.getSummary());
+        });
+
+        // Request journal
+        this.app.get('/__admin/requests', (req, res) => {
+            res.json({ requests: this.journal.find(req.query) });
+        });
+
+        this.app.delete('/__admin/requests', (req, res) => {
+            this.journal.reset();
+            res.json({});
+        });
+
+        this.app.get('/__admin/requests/wait', async (req, res) => {
+            const { count = 1, timeout, ...filter } = req.query;
+
+            if (!/^\d+$/.test(String(count)) || (timeout !== undefined && !/^\d+$/.test(String(timeout)))) {
+                return this.sendError(res, 400, 'count and timeout must be non-negative integers', 'INVALID_ARGUMENT');
+            }
+
+            try {
+                const requests = await this.journal.waitFor(filter, Number(count), timeout === undefined ? undefined : Number(timeout));
+                res.json({ requests });
+            } catch (error) {
+                res.status(504).json({
+                    error: {
+                        code: 504,
+                        message: error.message,
+                        status: 'DEADLINE_EXCEEDED'
+                    },
+                    requests: error.entries
+                });
+            }
+        });
+
+        this.app.get('/__admin/requests/har', (req, res) => {
+            res.attachment('gemini-mock.har');
+            res.json(this.journal.toHar(this.journal.find(req.query), this.getBaseUrl(req)));
+        });
+
+        this.app.get('/__admin/requests/:id', (req, res) => {
+            const entry = this.journal.get(req.params.id);
+
+            if (!entry) {
+                return this.sendError(res, 404, `No journal entry with id ${req.params.id}`, 'NOT_FOUND');
+            }
+
+            res.json(entry);
+        });
+
+        // Clears everything tests can observe between runs; uploaded files are kept
+        this.app.post('/__admin/reset', (req, res) => {
+            this.journal.reset();
+            this.requestCount = 0;
+            this.seedCounters = {};
+            this.faultInjector.stats = {};
+            this.caches = new CacheStore();
+            this.batches = this.createBatchStore();
+            this.quotas.reset();
+            res.json({});
+        });
+
+        // Quota tiers and usage
+        this.app.get('/__admin/quotas', (req, res) => {
+            res.json(this.quotas.getState());
+        });
+
+        this.app.put('/__admin/quotas', (req, res) => {
+            const { keys = {} } = req.body;
+
+            try {
+                for (const [apiKey, tier] of Object.entries(keys)) {
+                    this.quotas.setKeyTier(apiKey, tier);
+                }
+            } catch (error) {
+                return this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+            }
+
+            res.json(this.quotas.getState());
+        });
+
         // List models
         this.app.get('/v1beta/models', (req, res) => {
-            res.json({
-                models: [
-                    {
-                        name: 'models/gemini-1.5-pro',
-                        version: '001',
-                        displayName: 'Gemini 1.5 Pro',
-                        description: 'Mid-size multimodal model',
-                        inputTokenLimit: 1048576,
-                        outputTokenLimit: 8192,
-                        supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
-                    },
-                    {
-                        name: 'models/gemini-1.5-flash',
-                        version: '001',
-                        displayName: 'Gemini 1.5 Flash',
-                        description: 'Fast and versatile multimodal model',
-                        inputTokenLimit: 1048576,
-                        outputTokenLimit: 8192,
-                        supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
-                    }
-                ]
-            });
+            try {
+                res.json(this.models.list(req.query.pageSize, req.query.pageToken));
+            } catch (error) {
+                this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+            }
+        });
+
+        // Get model
+        this.app.get('/v1beta/models/:model', (req, res) => {
+            const model = this.models.get(req.params.model);
+
+            if (!model) {
+                return this.sendError(res, 404, `Model is not found: models/${req.params.model} for API version v1beta`, 'NOT_FOUND');
+            }
+
+            res.json(model);
+        });
+
+        // Files
+        this.app.post('/upload/v1beta/files', (req, res) => {
+            this.handleUpload(req, res);
+        });
+
+        this.app.get('/v1beta/files', (req, res) => {
+            try {
+                const page = this.files.list(req.query.pageSize, req.query.pageToken);
+                const baseUrl = this.getBaseUrl(req);
+
+                res.json(page.files.length === 0 ? {} : {
+                    files: page.files.map(file => this.files.toResource(file, baseUrl)),
+                    ...(page.nextPageToken && { nextPageToken: page.nextPageToken })
+                });
+            } catch (error) {
+                this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+            }
+        });
+
+        this.app.get('/v1beta/files/:file', (req, res) => {
+            const file = this.files.get(req.params.file);
+
+            if (!file) {
+                return this.sendFileNotFound(res, req.params.file);
+            }
+
+            res.json(this.files.toResource(file, this.getBaseUrl(req)));
+        });
+
+        this.app.delete('/v1beta/files/:file', (req, res) => {
+            if (!this.files.delete(req.params.file)) {
+                return this.sendFileNotFound(res, req.params.file);
+            }
+
+            res.json({});
+        });
+
+        // Context caching
+        this.app.post('/v1beta/cachedContents', (req, res) => {
+            this.handleCreateCachedContent(req, res);
+        });
+
+        this.app.get('/v1beta/cachedContents', (req, res) => {
+            try {
+                const page = this.caches.list(req.query.pageSize, req.query.pageToken);
+
+                res.json(page.cachedContents.length === 0 ? {} : {
+                    cachedContents: page.cachedContents.map(cache => this.caches.toResource(cache)),
+                    ...(page.nextPageToken && { nextPageToken: page.nextPageToken })
+                });
+            } catch (error) {
+                this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+            }
+        });
+
+        this.app.get('/v1beta/cachedContents/:cache', (req, res) => {
+            const cache = this.caches.get(req.params.cache);
+
+            if (!cache) {
+                return this.sendCacheNotFound(res);
+            }
+
+            res.json(this.caches.toResource(cache));
+        });
+
+        this.app.patch('/v1beta/cachedContents/:cache', (req, res) => {
+            this.handleUpdateCachedContent(req, res);
+        });
+
+        this.app.delete('/v1beta/cachedContents/:cache', (req, res) => {
+            if (!this.caches.delete(req.params.cache)) {
+                return this.sendCacheNotFound(res);
+            }
+
+            res.json({});
         });
 
         // Generate content
-        this.app.post('/v1beta/models/:model/generateContent', (req, res) => {
+        this.app.post('/v1beta/models/:model\\:generateContent', this.requireModel('generateContent'), (req, res) => {
             this.handleGenerateContent(req, res, false);
         });
 
-        // Stream generate content
-        this.app.post('/v1beta/models/:model/streamGenerateContent', (req, res) => {
+        // Stream generate content (JSON array by default, Server-Sent Events with ?alt=sse)
+        this.app.post('/v1beta/models/:model\\:streamGenerateContent', this.requireModel('streamGenerateContent'), (req, res) => {
             this.handleGenerateContent(req, res, true);
         });
 
+        // Count tokens
+        this.app.post('/v1beta/models/:model\\:countTokens', this.requireModel('countTokens'), (req, res) => {
+            this.handleCountTokens(req, res);
+        });
+
+        // Embeddings
+        this.app.post('/v1beta/models/:model\\:embedContent', this.requireModel('embedContent'), (req, res) => {
+            this.handleEmbedContent(req, res);
+        });
+
+        this.app.post('/v1beta/models/:model\\:batchEmbedContents', this.requireModel('batchEmbedContents'), (req, res) => {
+            this.handleBatchEmbedContents(req, res);
+        });
+
+        // OpenAI-compatible chat completions and models
+        this.app.post('/v1beta/openai/chat/completions', (req, res) => {
+            this.handleChatCompletion(req, res);
+        });
+
+        this.app.get('/v1beta/openai/models', (req, res) => {
+            res.json({
+                object: 'list',
+                data: this.models.models.map(openaiCompat.toModel)
+            });
+        });
+
+        // Model ids may keep their models/ prefix
+        this.app.get(/^\/v1beta\/openai\/models\/(.+)$/, (req, res) => {
+            const model = this.models.get(req.params[0]);
+
+            if (!model) {
+                return this.sendError(res, 404, `Model is not found: ${req.params[0]} for API version v1beta`, 'NOT_FOUND');
+            }
+
+            res.json(openaiCompat.toModel(model));
+        });
+
+        // Batch generation, run as long-running operations
+        this.app.post('/v1beta/models/:model\\:batchGenerateContent', this.requireModel('batchGenerateContent'), (req, res) => {
+            this.handleBatchGenerateContent(req, res);
+        });
+
+        this.app.get('/v1beta/operations', (req, res) => {
+            try {
+                const page = this.batches.list(req.query.pageSize, req.query.pageToken);
+
+                res.json(page.operations.length === 0 ? {} : {
+                    operations: page.operations.map(batch => this.batches.toResource(batch)),
+                    ...(page.nextPageToken && { nextPageToken: page.nextPageToken })
+                });
+            } catch (error) {
+                this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+            }
+        });
+
+        this.app.get('/v1beta/operations/:operation', (req, res) => {
+            const batch = this.batches.get(req.params.operation);
+
+            if (!batch) {
+                return this.sendOperationNotFound(res, req.params.operation);
+            }
+
+            res.json(this.batches.toResource(batch));
+        });
+
+        this.app.post('/v1beta/operations/:operation\\:cancel', (req, res) => {
+            const batch = this.batches.get(req.params.operation);
+
+            if (!batch) {
+                return this.sendOperationNotFound(res, req.params.operation);
+            }
+
+            try {
+                this.batches.cancel(batch);
+                res.json({});
+            } catch (error) {
+                this.sendError(res, 400, error.message, 'FAILED_PRECONDITION');
+            }
+        });
+
+        this.app.delete('/v1beta/operations/:operation', (req, res) => {
+            if (!this.batches.delete(req.params.operation)) {
+                return this.sendOperationNotFound(res, req.params.operation);
+            }
+
+            res.json({});
+        });
+
         // Default route
         this.app.all('*', (req, res) => {
             res.status(404).json({
@@ -137,31 +570,18 @@ class GeminiMockServer {
 
     handleGenerateContent(req, res, isStreaming = false) {
         try {
-            const { contents, generationConfig, safetySettings } = req.body;
+            const route = isStreaming ? 'streamGenerateContent' : 'generateContent';
+            const { reply, response, fixture } = this.generate(req, res, req.body, req.params.model, route);
 
-            // Validate request
-            if (!contents || !Array.isArray(contents)) {
-                return res.status(400).json({
-                    error: {
-                        code: 400,
-                        message: 'contents field is required and must be an array',
-                        status: 'INVALID_ARGUMENT'
-                    }
-                });
+            if (reply) {
+                return res.status(reply.status).json(reply.body);
             }
 
-            // Simulate processing delay
-            const delay = Math.random() * 1000 + 500; // 500-1500ms
-
-            setTimeout(() => {
-                const response = this.generateMockResponse(req.body, req.params.model);
-
-                if (isStreaming) {
-                    this.sendStreamingResponse(res, response);
-                } else {
-                    res.json(response);
-                }
-            }, delay);
+            if (isStreaming) {
+                this.sendStreamingResponse(req, res, response, fixture?.response.chunks);
+            } else {
+                res.json(response);
+            }
 
         } catch (error) {
             res.status(500).json({
@@ -174,215 +594,1520 @@ class GeminiMockServer {
         }
     }
 
-    generateMockResponse(requestBody, model) {
-        const { contents, generationConfig = {} } = requestBody;
-        const lastContent = contents[contents.length - 1];
-        const userText = lastContent.parts?.[0]?.text || '';
+    /**
+     * OpenAI-compatible chat completions. The request was translated by the middleware
+     * into req.modelCall; the generated response is translated back
+     */
+    handleChatCompletion(req, res) {
+        try {
+            const { model: modelId, method, body, includeUsage } = req.modelCall;
+            const model = this.models.get(modelId);
+
+            if (!model || !this.models.supports(model, method)) {
+                return this.sendModelNotFound(res, modelId, method);
+            }
 
-        // Generate appropriate mock response based on content
-        let responseText = this.generateContextualResponse(userText, contents);
+            req.model = model;
 
-        // Apply generation config
-        if (generationConfig.maxOutputTokens) {
-            const maxWords = Math.floor(generationConfig.maxOutputTokens / 1.3); // Rough token to word ratio
-            const words = responseText.split(' ');
-            if (words.length > maxWords) {
-                responseText = words.slice(0, maxWords).join(' ') + '...';
+            const { reply, response, fixture } = this.generate(req, res, body, modelId, method);
+            const meta = openaiCompat.createCompletionMeta(req.body.model, req.random);
+
+            // A fixture's own successful response is in the Gemini format and translated too
+            if (reply) {
+                const translated = reply.status < 400 && reply.body.candidates ?
+                    openaiCompat.toChatCompletion(reply.body, meta) : reply.body;
+                return res.status(reply.status).json(translated);
             }
-        }
 
-        // Calculate token usage
-        const promptTokens = this.estimateTokens(JSON.stringify(contents));
-        const responseTokens = this.estimateTokens(responseText);
+            if (method === 'generateContent') {
+                return res.json(openaiCompat.toChatCompletion(response, meta));
+            }
 
-        return {
-            candidates: [
-                {
-                    content: {
-                        parts: [
-                            {
-                                text: responseText
-                            }
-                        ],
-                        role: 'model'
-                    },
-                    finishReason: 'STOP',
-                    index: 0,
-                    safetyRatings: [
-                        {
-                            category: 'HARM_CATEGORY_HARASSMENT',
-                            probability: 'NEGLIGIBLE'
-                        },
-                        {
-                            category: 'HARM_CATEGORY_HATE_SPEECH',
-                            probability: 'NEGLIGIBLE'
-                        },
-                        {
-                            category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-                            probability: 'NEGLIGIBLE'
-                        },
-                        {
-                            category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-                            probability: 'NEGLIGIBLE'
-                        }
-                    ]
-                }
-            ],
-            usageMetadata: {
-                promptTokenCount: promptTokens,
-                candidatesTokenCount: responseTokens,
-                totalTokenCount: promptTokens + responseTokens
-            },
-            modelVersion: model || 'gemini-1.5-pro-001'
-        };
-    }
+            const chunks = this.buildStreamChunks(response, fixture?.response.chunks)
+                .map((chunk, index) => openaiCompat.toChatCompletionChunk(chunk, meta, index === 0));
 
-    generateContextualResponse(userText, contents) {
-        const text = userText.toLowerCase();
+            if (includeUsage) {
+                chunks.push(openaiCompat.toUsageChunk(response.usageMetadata, meta));
+            }
 
-        // Check for image content
-        const hasImage = contents.some(content =>
-            content.parts?.some(part => part.inline_data || part.file_data)
-        );
+            this.writeStream(req, res, chunks, { sse: true, model: modelId, done: '[DONE]' });
 
-        if (hasImage) {
-            return this.generateImageResponse(userText);
+        } catch (error) {
+            this.sendError(res, 500, 'Internal server error', 'INTERNAL');
         }
+    }
 
-        // Context-aware responses
-        if (text.includes('haiku')) {
-            return 'APIs tested well,\\nResponses flow like data streams,\\nCode in harmony.';
-        }
+    /**
+     * The generation path shared by generateContent, streamGenerateContent and the
+     * OpenAI-compatible chat completions endpoint. Expects the model's registry entry on
+     * req.model; headers from a matching fixture are set on res, when there is one
+     * @returns {{ reply: { status: number, body: object } }|{ response: object, fixture: object|null }}
+     *   A reply to send as is (an error or a fixture's own response), or the generated response
+     */
+    generate(req, res, requestBody, modelId, route) {
+        const violations = validateGenerateContentRequest(requestBody);
 
-        if (text.includes('code') || text.includes('function') || text.includes('python') || text.includes('javascript')) {
-            return this.generateCodeResponse(userText);
+        if (violations.length > 0) {
+            return { reply: { status: 400, body: buildValidationError(violations) } };
         }
 
-        if (text.includes('error') || text.includes('debug') || text.includes('fix')) {
-            return this.generateDebugResponse(userText);
+        const fileError = this.checkFileReferences(requestBody);
+        if (fileError) {
+            return { reply: this.buildErrorReply(fileError.code, fileError.message, fileError.status) };
         }
 
-        if (text.includes('explain') || text.includes('what is') || text.includes('how to')) {
-            return this.generateExplanationResponse(userText);
+        const { body, cache, error } = this.applyCachedContent(requestBody, req.model);
+        if (error) {
+            return { reply: this.buildErrorReply(error.code, error.message, error.status) };
         }
 
-        if (text.includes('test') || text.includes('testing')) {
-            return 'Testing is crucial for reliable software. I recommend implementing unit tests, integration tests, and end-to-end tests. Mock servers like this one help simulate external dependencies during development.';
+        const limitError = this.checkTokenLimits(body, req.model);
+        if (limitError) {
+            return { reply: this.buildErrorReply(400, limitError, 'INVALID_ARGUMENT') };
         }
 
-        // Default creative response
-        return this.generateDefaultResponse(userText);
-    }
+        // Custom fixtures can replace the whole response, including status and headers
+        const fixture = this.fixtures.match(this.buildRequestContext(body, modelId, route), false, req.random);
 
-    generateImageResponse(userText) {
-        const responses = [
-            'I can see this is an image. Based on the visual content, I notice various elements including colors, shapes, and objects. The composition appears to be well-balanced with good contrast.',
-            'This image contains multiple visual elements. I can identify different colors and textures throughout the composition. The lighting and perspective create an interesting visual narrative.',
-            'Looking at this image, I observe several key features including the main subject matter, background elements, and overall visual style. The image quality appears clear and well-composed.'
-        ];
-        return responses[Math.floor(Math.random() * responses.length)];
-    }
+        if (fixture?.response.headers && res) {
+            res.set(fixture.response.headers);
+        }
 
-    generateCodeResponse(userText) {
-        if (userText.includes('python')) {
-            return `def example_function(data):\n    \"\"\"\n    Example Python function based on your request.\n    \"\"\"\n    try:\n        result = process_data(data)\n        return result\n    except Exception as e:\n        logging.error(f\"Error processing data: {e}\")\n        return None\n\n# Usage example\nresult = example_function(your_data)`;
+        if (fixture && (fixture.response.status || fixture.response.body)) {
+            return { reply: { status: fixture.response.status || 200, body: fixture.response.body || {} } };
         }
 
-        if (userText.includes('javascript')) {
-            return `function exampleFunction(data) {\n  /**\n   * Example JavaScript function based on your request.\n   */\n  try {\n    const result = processData(data);\n    return result;\n  } catch (error) {\n    console.error('Error processing data:', error);\n    return null;\n  }\n}\n\n// Usage example\nconst result = exampleFunction(yourData);`;
+        // Processing delay is simulated by the fault injector's latency profile
+        const response = this.generateMockResponse(body, modelId, { route, fixture, random: req.random });
+
+        if (cache) {
+            response.usageMetadata.cachedContentTokenCount = cache.totalTokenCount;
         }
 
-        return 'Here\'s a code solution based on your request. The implementation follows best practices including error handling, proper documentation, and clean structure. Would you like me to explain any specific part?';
-    }
+        this.metrics.recordUsage(modelId, response.usageMetadata);
 
-    generateDebugResponse(userText) {
-        return 'Based on the error you\'re experiencing, here are the most likely causes:\\n\\n1. **Null/undefined values**: Check if variables are properly initialized\\n2. **Type mismatches**: Verify data types match expected values\\n3. **Scope issues**: Ensure variables are accessible where needed\\n4. **Async/await problems**: Check if promises are properly handled\\n\\nI recommend adding console.log statements or using a debugger to trace the execution flow.';
+        return { response, fixture };
     }
 
-    generateExplanationResponse(userText) {
-        return 'Let me explain this concept clearly:\\n\\nThe topic you\'re asking about involves several key components that work together. Each part has a specific role and understanding their interactions is crucial for practical implementation.\\n\\nWould you like me to dive deeper into any particular aspect?';
-    }
+    /**
+     * Route middleware that rejects unknown models and methods the model does not support,
+     * leaving the registry entry on req.model
+     */
+    requireModel(method) {
+        return (req, res, next) => {
+            const model = this.models.get(req.params.model);
 
-    generateDefaultResponse(userText) {
-        const responses = [
-            'That\'s an interesting question! Let me provide you with a comprehensive response that addresses your specific needs and context.',
-            'I understand what you\'re looking for. Based on your request, I can offer several insights and practical suggestions.',
-            'Thank you for your question. I\'ll break this down into clear, actionable information that you can use immediately.',
-            'This is a great topic to explore. Let me share some detailed information and best practices that will be helpful.',
-        ];
-        return responses[Math.floor(Math.random() * responses.length)] + ` Your query about "${userText.substring(0, 50)}${userText.length > 50 ? '...' : ''}" requires a thoughtful approach. I recommend considering multiple perspectives and gathering additional context as needed.`;
+            if (!model || !this.models.supports(model, method)) {
+                return this.sendModelNotFound(res, req.params.model, method);
+            }
+
+            req.model = model;
+            next();
+        };
     }
 
-    sendStreamingResponse(res, fullResponse) {
-        res.writeHead(200, {
-            'Content-Type': 'application/json',
-            'Transfer-Encoding': 'chunked'
-        });
+    /**
+     * @returns {string|null} Error message when the request exceeds the model's token limits
+     */
+    checkTokenLimits(request, model) {
+        const { totalTokens } = this.countRequestTokens(request);
 
-        const text = fullResponse.candidates[0].content.parts[0].text;
-        const words = text.split(' ');
-        let currentText = '';
-
-        // Simulate streaming by sending words progressively
-        words.forEach((word, index) => {
-            setTimeout(() => {
-                currentText += word + ' ';
-
-                const streamChunk = {
-                    ...fullResponse,
-                    candidates: [{
-                        ...fullResponse.candidates[0],
-                        content: {
-                            ...fullResponse.candidates[0].content,
-                            parts: [{ text: currentText.trim() }]
-                        }
-                    }]
-                };
+        if (totalTokens > model.inputTokenLimit) {
+            return `The input token count (${totalTokens}) exceeds the maximum number of tokens allowed (${model.inputTokenLimit}).`;
+        }
 
-                res.write(JSON.stringify(streamChunk) + '\\n');
+        const config = request.generationConfig || request.generation_config || {};
+        const maxOutputTokens = config.maxOutputTokens ?? config.max_output_tokens;
 
-                if (index === words.length - 1) {
-                    res.end();
-                }
-            }, index * 100); // 100ms delay between words
-        });
-    }
+        if (maxOutputTokens > model.outputTokenLimit) {
+            return `Unable to submit request because it has a maxOutputTokens value of ${maxOutputTokens} but the supported range is ` +
+                `from 1 (inclusive) to ${model.outputTokenLimit + 1} (exclusive). Update the value and try again.`;
+        }
 
-    estimateTokens(text) {
-        // Rough estimation: ~1.3 characters per token
-        return Math.ceil(text.length / 1.3);
+        return null;
     }
 
-    setupErrorHandling() {
-        this.app.use((error, req, res, next) => {
-            console.error('Server error:', error);
-            res.status(500).json({
+    handleCountTokens(req, res) {
+        const { contents, generateContentRequest } = req.body;
+
+        if (contents && generateContentRequest) {
+            return res.status(400).json({
                 error: {
-                    code: 500,
-                    message: 'Internal server error',
-                    status: 'INTERNAL'
+                    code: 400,
+                    message: 'contents and generateContentRequest cannot both be set',
+                    status: 'INVALID_ARGUMENT'
                 }
             });
-        });
-    }
+        }
 
-    start() {
-        this.app.listen(this.port, () => {
-            console.log(`Gemini Mock Server running on port ${this.port}`);
-            console.log(`Health check: http://localhost:${this.port}/health`);
-            console.log(`API base URL: http://localhost:${this.port}/v1beta`);
-            console.log(`\\nUsage in Postman:`);
-            console.log(`   Set base_url environment variable to: http://localhost:${this.port}`);
-            console.log(`   Use any API key except 'invalid_key_12345'`);
+        const request = generateContentRequest || { contents };
+        const violations = generateContentRequest ?
+            validateGenerateContentRequest(generateContentRequest, 'generate_content_request.') :
+            validateGenerateContentRequest(request);
+
+        if (violations.length > 0) {
+            return res.status(400).json(buildValidationError(violations, 'CountTokensRequest'));
+        }
+
+        const fileError = this.checkFileReferences(request);
+        if (fileError) {
+            return this.sendError(res, fileError.code, fileError.message, fileError.status);
+        }
+
+        const { body, cache, error } = this.applyCachedContent(request, req.model);
+        if (error) {
+            return this.sendError(res, error.code, error.message, error.status);
+        }
+
+        const tokenCount = this.countRequestTokens(body);
+
+        res.json({
+            totalTokens: tokenCount.totalTokens,
+            ...(cache && { cachedContentTokenCount: cache.totalTokenCount }),
+            promptTokensDetails: tokenCount.promptTokensDetails
         });
     }
-}
 
-// Start server if run directly
-if (require.main === module) {
-    const port = process.env.MOCK_SERVER_PORT || 3000;
-    const server = new GeminiMockServer(port);
-    server.start();
+    handleCreateCachedContent(req, res) {
+        const violations = validateCachedContentRequest(req.body);
+
+        if (violations.length > 0) {
+            return res.status(400).json(buildValidationError(violations, 'CreateCachedContentRequest'));
+        }
+
+        const modelId = req.body.model.replace(/^models\//, '');
+        const model = this.models.get(modelId);
+
+        if (!model || !this.models.supports(model, 'createCachedContent')) {
+            return this.sendModelNotFound(res, modelId, 'createCachedContent');
+        }
+
+        const fileError = this.checkFileReferences(req.body);
+        if (fileError) {
+            return this.sendError(res, fileError.code, fileError.message, fileError.status);
+        }
+
+        const cached = {
+            model: model.name,
+            displayName: req.body.displayName || req.body.display_name,
+            contents: req.body.contents,
+            systemInstruction: req.body.systemInstruction || req.body.system_instruction,
+            tools: req.body.tools,
+            toolConfig: req.body.toolConfig || req.body.tool_config
+        };
+        const { totalTokens } = this.countRequestTokens(cached);
+
+        if (totalTokens > model.inputTokenLimit) {
+            return this.sendError(res, 400, `The input token count (${totalTokens}) exceeds the maximum number of tokens allowed (${model.inputTokenLimit}).`, 'INVALID_ARGUMENT');
+        }
+
+        try {
+            const cache = this.caches.create(cached, totalTokens, {
+                ttl: req.body.ttl,
+                expireTime: req.body.expireTime || req.body.expire_time
+            }, req.random);
+            res.json(this.caches.toResource(cache));
+        } catch (error) {
+            this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+        }
+    }
+
+    /**
+     * Only the expiration of a cache can be changed, selected with updateMask
+     */
+    handleUpdateCachedContent(req, res) {
+        const cache = this.caches.get(req.params.cache);
+
+        if (!cache) {
+            return this.sendCacheNotFound(res);
+        }
+
+        const updateMask = (req.query.updateMask || req.query.update_mask || 'ttl,expireTime')
+            .split(',')
+            .map(field => field.trim());
+        const unsupported = updateMask.filter(field => !['ttl', 'expireTime', 'expire_time'].includes(field));
+
+        if (unsupported.length > 0) {
+            return this.sendError(res, 400, `Only ttl and expireTime can be updated, got updateMask: ${unsupported.join(', ')}`, 'INVALID_ARGUMENT');
+        }
+
+        const updatesExpireTime = updateMask.includes('expireTime') || updateMask.includes('expire_time');
+        const expiration = {
+            ttl: updateMask.includes('ttl') ? req.body.ttl : undefined,
+            expireTime: updatesExpireTime ? req.body.expireTime || req.body.expire_time : undefined
+        };
+
+        if (expiration.ttl === undefined && expiration.expireTime === undefined) {
+            return this.sendError(res, 400, 'Either ttl or expireTime must be set', 'INVALID_ARGUMENT');
+        }
+
+        try {
+            res.json(this.caches.toResource(this.caches.updateExpiration(cache, expiration)));
+        } catch (error) {
+            this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+        }
+    }
+
+    /**
+     * Expands a request that references cachedContent into the full prompt: cached
+     * contents come first and the cache supplies the system instruction and tools
+     * @returns {{ body: object, cache: object|null, error?: object }}
+     */
+    applyCachedContent(request, model) {
+        const name = request.cachedContent || request.cached_content;
+
+        if (!name) {
+            return { body: request, cache: null };
+        }
+
+        const cache = this.caches.get(name);
+        if (!cache) {
+            return { error: { code: 403, message: 'CachedContent not found (or permission denied)', status: 'PERMISSION_DENIED' } };
+        }
+
+        if (cache.model !== model.name) {
+            return {
+                error: {
+                    code: 400,
+                    message: `Model used by GenerateContent request (${model.name}) and CachedContent (${cache.model}) has to be the same.`,
+                    status: 'INVALID_ARGUMENT'
+                }
+            };
+        }
+
+        const overrides = ['systemInstruction', 'system_instruction', 'tools', 'toolConfig', 'tool_config']
+            .filter(field => request[field] !== undefined);
+        if (overrides.length > 0) {
+            return {
+                error: {
+                    code: 400,
+                    message: 'CachedContent can not be used with GenerateContent request setting system_instruction, tools or tool_config.',
+                    status: 'INVALID_ARGUMENT'
+                }
+            };
+        }
+
+        const body = { ...request, contents: [...(cache.contents || []), ...request.contents] };
+        delete body.cachedContent;
+        delete body.cached_content;
+
+        for (const field of ['systemInstruction', 'tools', 'toolConfig']) {
+            if (cache[field] !== undefined) {
+                body[field] = cache[field];
+            }
+        }
+
+        return { body, cache };
+    }
+
+    sendCacheNotFound(res) {
+        return this.sendError(res, 403, 'CachedContent not found (or permission denied)', 'PERMISSION_DENIED');
+    }
+
+    sendModelNotFound(res, modelId, method) {
+        return this.sendError(
+            res,
+            404,
+            `models/${modelId} is not found for API version v1beta, or is not supported for ${method}. ` +
+            'Call ListModels to see the list of available models and their supported methods.',
+            'NOT_FOUND'
+        );
+    }
+
+    /**
+     * Checks that every file_data part points to an uploaded, ACTIVE file of the stated type.
+     * YouTube URLs are passed through as the API accepts them directly
+     * @returns {object|null} { code, message, status } for the first bad reference
+     */
+    checkFileReferences(request) {
+        const contents = [...(request.contents || [])];
+        const systemInstruction = request.systemInstruction || request.system_instruction;
+
+        if (systemInstruction) {
+            contents.push(systemInstruction);
+        }
+
+        for (const content of contents) {
+            for (const part of content.parts || []) {
+                const fileData = part.file_data || part.fileData;
+                if (!fileData) {
+                    continue;
+                }
+
+                const uri = fileData.file_uri || fileData.fileUri;
+                const mimeType = fileData.mime_type || fileData.mimeType;
+
+                if (/^https:\/\/(www\.)?(youtube\.com|youtu\.be)\//.test(uri)) {
+                    continue;
+                }
+
+                const id = this.files.parseUri(uri);
+                if (!id) {
+                    return { code: 400, message: `Unsupported file uri: ${uri}`, status: 'INVALID_ARGUMENT' };
+                }
+
+                const file = this.files.get(id);
+                if (!file) {
+                    return { code: 403, message: `You do not have permission to access the File ${id} or it may not exist.`, status: 'PERMISSION_DENIED' };
+                }
+
+                if (this.files.getState(file) !== 'ACTIVE') {
+                    return { code: 400, message: `The File ${id} is not in an ACTIVE state and usage is not allowed.`, status: 'FAILED_PRECONDITION' };
+                }
+
+                if (mimeType && mimeType !== file.mimeType) {
+                    return {
+                        code: 400,
+                        message: `The mime_type ${mimeType} does not match the MIME type ${file.mimeType} of files/${id}.`,
+                        status: 'INVALID_ARGUMENT'
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Media upload endpoint. Supports the raw and multipart simple protocols and the
+     * resumable protocol (start, then upload/query/cancel/finalize on the session URL)
+     */
+    handleUpload(req, res) {
+        if (req.query.upload_id) {
+            return this.handleResumableUpload(req, res);
+        }
+
+        const protocol = (req.get('x-goog-upload-protocol') || req.query.uploadType || 'raw').toLowerCase();
+
+        if (protocol !== 'resumable' && protocol !== 'multipart') {
+            return this.files.createFromStream(req, { mimeType: req.get('content-type') }, req.random)
+                .then(file => res.json({ file: this.files.toResource(file, this.getBaseUrl(req)) }))
+                .catch(error => this.sendError(res, 400, error.message, 'INVALID_ARGUMENT'));
+        }
+
+        readUploadBody(req, res, error => {
+            if (error) {
+                return this.sendError(res, 400, `Upload body could not be read: ${error.message}`, 'INVALID_ARGUMENT');
+            }
+            this.handleBufferedUpload(req, res, protocol);
+        });
+    }
+
+    /**
+     * Starts a resumable session or stores a multipart upload, from a body read into req.body
+     */
+    handleBufferedUpload(req, res, protocol) {
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+        try {
+            if (protocol === 'resumable') {
+                const { file = {} } = body.length > 0 ? JSON.parse(body.toString()) : {};
+                const uploadId = this.files.startUpload({
+                    displayName: file.displayName || file.display_name,
+                    mimeType: req.get('x-goog-upload-header-content-type') || file.mimeType || file.mime_type,
+                    size: req.get('x-goog-upload-header-content-length')
+                }, req.random);
+
+                res.set({
+                    'X-Goog-Upload-URL': `${this.getBaseUrl(req)}/upload/v1beta/files?upload_id=${uploadId}&upload_protocol=resumable`,
+                    'X-Goog-Upload-Status': 'active',
+                    'X-Goog-Upload-Chunk-Granularity': String(8 * 1024 * 1024)
+                });
+                return res.end();
+            }
+
+            const { metadata, mimeType, data } = FileStore.parseMultipart(body, req.get('content-type'));
+            const { file: fileMetadata = {} } = metadata;
+            const file = this.files.create({
+                displayName: fileMetadata.displayName || fileMetadata.display_name,
+                mimeType: fileMetadata.mimeType || fileMetadata.mime_type || mimeType,
+                data
+            }, req.random);
+
+            res.json({ file: this.files.toResource(file, this.getBaseUrl(req)) });
+        } catch (error) {
+            this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+        }
+    }
+
+    async handleResumableUpload(req, res) {
+        const uploadId = req.query.upload_id;
+        const commands = (req.get('x-goog-upload-command') || '').split(',').map(command => command.trim());
+
+        if (!this.files.getUpload(uploadId)) {
+            return this.sendError(res, 404, `No active upload session: ${uploadId}`, 'NOT_FOUND');
+        }
+
+        if (commands.includes('cancel')) {
+            this.files.cancelUpload(uploadId);
+            res.set('X-Goog-Upload-Status', 'cancelled');
+            return res.end();
+        }
+
+        try {
+            if (commands.includes('upload')) {
+                await this.files.appendUpload(uploadId, req.get('x-goog-upload-offset') || 0, req);
+            }
+
+            if (commands.includes('finalize')) {
+                const file = this.files.finalizeUpload(uploadId, req.random);
+                res.set('X-Goog-Upload-Status', 'final');
+                return res.json({ file: this.files.toResource(file, this.getBaseUrl(req)) });
+            }
+        } catch (error) {
+            return this.sendError(res, 400, error.message, 'INVALID_ARGUMENT');
+        }
+
+        // The session may have been cancelled while a chunk was arriving
+        const upload = this.files.getUpload(uploadId);
+        if (!upload) {
+            return this.sendError(res, 404, `No active upload session: ${uploadId}`, 'NOT_FOUND');
+        }
+
+        res.set({
+            'X-Goog-Upload-Status': 'active',
+            'X-Goog-Upload-Size-Received': String(upload.received)
+        });
+        res.end();
+    }
+
+    sendFileNotFound(res, id) {
+        return this.sendError(res, 403, `You do not have permission to access the File ${id} or it may not exist.`, 'PERMISSION_DENIED');
+    }
+
+    getBaseUrl(req) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+
+    handleEmbedContent(req, res) {
+        const result = this.buildEmbedding(req.body, req.model);
+
+        if (result.error) {
+            return this.sendError(res, 400, result.error, 'INVALID_ARGUMENT');
+        }
+
+        res.json({ embedding: { values: result.values } });
+    }
+
+    handleBatchEmbedContents(req, res) {
+        const { requests } = req.body;
+        const model = req.params.model;
+
+        if (!Array.isArray(requests) || requests.length === 0) {
+            return this.sendError(res, 400, 'requests field is required and must be a non-empty array', 'INVALID_ARGUMENT');
+        }
+
+        const results = [];
+
+        for (let i = 0; i < requests.length; i++) {
+            const request = requests[i];
+
+            if (!isObject(request)) {
+                return this.sendError(res, 400, `requests[${i}] must be an EmbedContentRequest object`, 'INVALID_ARGUMENT');
+            }
+
+            if (request.model && request.model !== `models/${model}`) {
+                return this.sendError(res, 400, `requests[${i}].model must match the batch model models/${model}`, 'INVALID_ARGUMENT');
+            }
+
+            const result = this.buildEmbedding(request, req.model);
+            if (result.error) {
+                return this.sendError(res, 400, `requests[${i}]: ${result.error}`, 'INVALID_ARGUMENT');
+            }
+
+            results.push({ values: result.values });
+        }
+
+        res.json({ embeddings: results });
+    }
+
+    buildEmbedding(request, model) {
+        const { content, taskType = 'TASK_TYPE_UNSPECIFIED', title, outputDimensionality } = request;
+        const maxDimensions = embeddings.getDefaultDimensions(model.baseModelId);
+
+        const parts = content?.parts || [];
+
+        if (!Array.isArray(parts) || !parts.every(part => isObject(part) && (part.text === undefined || typeof part.text === 'string'))) {
+            return { error: 'content.parts must be a list of parts whose text is a string' };
+        }
+
+        const text = parts
+            .map(part => part.text)
+            .filter(Boolean)
+            .join(' ');
+
+        if (!text) {
+            return { error: 'content.parts must contain at least one text part' };
+        }
+
+        if (!embeddings.TASK_TYPES.includes(taskType)) {
+            return { error: `Invalid taskType: ${taskType}` };
+        }
+
+        if (title && taskType !== 'RETRIEVAL_DOCUMENT') {
+            return { error: 'title is only supported when taskType is RETRIEVAL_DOCUMENT' };
+        }
+
+        const { totalTokens } = this.countRequestTokens({ contents: [content] });
+        if (totalTokens > model.inputTokenLimit) {
+            return { error: `The input token count (${totalTokens}) exceeds the maximum number of tokens allowed (${model.inputTokenLimit}).` };
+        }
+
+        if (outputDimensionality !== undefined &&
+            (!Number.isInteger(outputDimensionality) || outputDimensionality < 1 || outputDimensionality > maxDimensions)) {
+            return { error: `outputDimensionality must be an integer between 1 and ${maxDimensions}` };
+        }
+
+        return {
+            values: embeddings.embedText(title ? `${title} ${text}` : text, {
+                dimensions: outputDimensionality || maxDimensions,
+                taskType
+            })
+        };
+    }
+
+    /**
+     * Creates a batch job from inline requests or an uploaded JSONL file of { key, request }
+     * lines. Every request is answered up front; the operation reveals the results as it runs
+     */
+    handleBatchGenerateContent(req, res) {
+        const batch = req.body.batch;
+        const inputConfig = batch?.inputConfig || batch?.input_config;
+
+        if (!inputConfig || typeof inputConfig !== 'object') {
+            return this.sendError(res, 400, 'batch.input_config is required', 'INVALID_ARGUMENT');
+        }
+
+        const fileName = inputConfig.fileName || inputConfig.file_name;
+        const inlined = inputConfig.requests?.requests;
+
+        if (Boolean(fileName) === Boolean(inlined)) {
+            return this.sendError(res, 400, 'batch.input_config must set exactly one of file_name and requests', 'INVALID_ARGUMENT');
+        }
+
+        const { entries, error } = fileName ? this.readBatchFile(fileName) : this.readInlinedRequests(inlined);
+        if (error) {
+            return this.sendError(res, error.code, error.message, error.status);
+        }
+
+        const results = entries.map(({ key, metadata, request }) => {
+            const { reply, response } = this.generate(req, null, request, req.params.model, 'batchGenerateContent');
+            const result = { ...(key !== undefined && { key }), ...(metadata !== undefined && { metadata }) };
+
+            if (reply) {
+                return { ...result, ...(reply.status >= 400 ? { error: reply.body.error } : { response: reply.body }) };
+            }
+            return { ...result, response };
+        });
+
+        const created = this.batches.create({
+            model: req.model.name,
+            displayName: batch.displayName || batch.display_name,
+            inputFile: fileName,
+            results
+        }, req.random);
+
+        res.json(this.batches.toResource(created));
+    }
+
+    /**
+     * @returns {{ entries: Array }|{ error: object }} error is { code, message, status }
+     */
+    readInlinedRequests(inlined) {
+        if (!Array.isArray(inlined) || inlined.length === 0) {
+            return { error: { code: 400, message: 'batch.input_config.requests.requests must be a non-empty array', status: 'INVALID_ARGUMENT' } };
+        }
+
+        const index = inlined.findIndex(entry => !isObject(entry?.request));
+        if (index !== -1) {
+            return { error: { code: 400, message: `batch.input_config.requests.requests[${index}].request is required`, status: 'INVALID_ARGUMENT' } };
+        }
+
+        return { entries: inlined.map(({ request, metadata }) => ({ request, metadata })) };
+    }
+
+    /**
+     * Reads the { key, request } lines of an uploaded batch input file
+     * @returns {{ entries: Array }|{ error: object }} error is { code, message, status }
+     */
+    readBatchFile(fileName) {
+        const id = this.files.parseUri(fileName);
+        const file = id && this.files.get(id);
+
+        if (!file) {
+            return { error: { code: 403, message: `You do not have permission to access the File ${id || fileName} or it may not exist.`, status: 'PERMISSION_DENIED' } };
+        }
+
+        if (this.files.getState(file) !== 'ACTIVE') {
+            return { error: { code: 400, message: `The File ${id} is not in an ACTIVE state and usage is not allowed.`, status: 'FAILED_PRECONDITION' } };
+        }
+
+        const entries = [];
+        const lines = fs.readFileSync(this.files.dataPath(id), 'utf8').split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (error) {
+                return { error: { code: 400, message: `Line ${i + 1} of files/${id} is not valid JSON: ${error.message}`, status: 'INVALID_ARGUMENT' } };
+            }
+
+            if (!isObject(entry?.request)) {
+                return { error: { code: 400, message: `Line ${i + 1} of files/${id} has no request object`, status: 'INVALID_ARGUMENT' } };
+            }
+
+            entries.push({ key: entry.key, request: entry.request });
+        }
+
+        if (entries.length === 0) {
+            return { error: { code: 400, message: `files/${id} contains no requests`, status: 'INVALID_ARGUMENT' } };
+        }
+
+        return { entries };
+    }
+
+    /**
+     * Stores a finished file-based batch's results as a JSONL file
+     * @returns {string} The file's resource name
+     */
+    writeBatchResults(batch) {
+        // Results are written on the first read after the batch finishes, so a seeded
+        // server derives the file's id from the batch rather than from that read
+        const seeded = this.seed !== undefined && this.seed !== null;
+        const file = this.files.create({
+            displayName: `batch-${batch.id}-results`,
+            mimeType: 'application/jsonl',
+            data: Buffer.from(this.batches.formatResults(batch))
+        }, seeded ? createRandom(`${this.seed}:batches/${batch.id}/results`) : undefined);
+
+        return `files/${file.id}`;
+    }
+
+    createBatchStore() {
+        return new BatchStore({ timeline: this.batchTimeline, writeResults: batch => this.writeBatchResults(batch) });
+    }
+
+    sendOperationNotFound(res, id) {
+        return this.sendError(res, 404, `Operation not found: operations/${id}`, 'NOT_FOUND');
+    }
+
+    sendError(res, code, message, status) {
+        const { body } = this.buildErrorReply(code, message, status);
+        return res.status(code).json(body);
+    }
+
+    buildErrorReply(code, message, status) {
+        return {
+            status: code,
+            body: {
+                error: {
+                    code,
+                    message,
+                    status
+                }
+            }
+        };
+    }
+
+    generateMockResponse(requestBody, model, options = {}) {
+        const { contents, tools, toolConfig, safetySettings } = requestBody;
+        const generationConfig = requestBody.generationConfig || requestBody.generation_config || {};
+        const { route = 'generateContent', fixture = null, random = Math.random } = options;
+        const context = this.buildRequestContext(requestBody, model, route);
+        const lastContent = contents[contents.length - 1];
+        const functionResponses = (lastContent.parts || [])
+            .map(part => part.functionResponse)
+            .filter(Boolean);
+
+        // Prompts that trip a safety threshold never reach the model
+        const promptSafety = safety.evaluate(safety.rateText(context.prompt), safetySettings);
+        if (promptSafety.blocked) {
+            return this.buildBlockedPromptResponse(promptSafety.safetyRatings, requestBody, model);
+        }
+
+        // Custom fixtures win; next a turn carrying function results gets a text answer
+        // built from them, otherwise the model may call one of the declared functions
+        const functionCalls = fixture || functionResponses.length > 0 ? [] :
+            functionCalling.planFunctionCalls(tools, toolConfig, context.prompt, currentTime(random));
+
+        const candidateCount = generationConfig.candidateCount ?? generationConfig.candidate_count ?? 1;
+
+        if (functionCalls.length > 0) {
+            const parts = functionCalls.map(functionCall => ({ functionCall }));
+            const tokenCount = this.estimateTokens(JSON.stringify(functionCalls));
+
+            return this.buildResponse(Array.from({ length: candidateCount }, () => ({
+                parts,
+                tokenCount,
+                safetyRatings: promptSafety.safetyRatings
+            })), requestBody, model);
+        }
+
+        // Built-in tools answer prompts they apply to: code execution runs the code, search
+        // grounds the answer in the fake index
+        const toolAnswer = fixture || functionResponses.length > 0 ? null : this.answerWithBuiltInTools(tools, context.prompt);
+
+        if (toolAnswer) {
+            const tokenCount = toolAnswer.parts.reduce((total, part) =>
+                total + this.estimateTokens(part.text ?? JSON.stringify(part)), 0);
+
+            return this.buildResponse(Array.from({ length: candidateCount }, () => ({
+                ...toolAnswer,
+                tokenCount,
+                safetyRatings: promptSafety.safetyRatings
+            })), requestBody, model);
+        }
+
+        const candidates = [];
+        const texts = [];
+
+        for (let index = 0; index < candidateCount; index++) {
+            let responseText = this.generateCandidateText(generationConfig, context, { fixture, functionResponses, random });
+
+            // Candidates are drawn independently; plain prose that repeats an earlier one is reworded
+            if (texts.includes(responseText) && !fixture && !generationConfig.responseMimeType) {
+                responseText = `${CANDIDATE_OPENERS[(index - 1) % CANDIDATE_OPENERS.length]} ${responseText}`;
+            }
+            texts.push(responseText);
+
+            const { text, finishReason } = this.applyOutputLimits(
+                responseText,
+                generationConfig.stopSequences ?? generationConfig.stop_sequences,
+                generationConfig.maxOutputTokens ?? generationConfig.max_output_tokens
+            );
+
+            // A response that trips a threshold comes back without content
+            const responseSafety = safety.evaluate(safety.rateResponse(text, context.prompt), safetySettings);
+            if (responseSafety.blocked) {
+                candidates.push({
+                    parts: null,
+                    tokenCount: 0,
+                    finishReason: 'SAFETY',
+                    safetyRatings: responseSafety.safetyRatings
+                });
+            } else {
+                candidates.push({
+                    parts: [{ text }],
+                    tokenCount: this.estimateTokens(text),
+                    finishReason,
+                    safetyRatings: responseSafety.safetyRatings
+                });
+            }
+        }
+
+        return this.buildResponse(candidates, requestBody, model);
+    }
+
+    /**
+     * @returns {{ parts: object[], groundingMetadata?: object }|null} The answer from the
+     *   codeExecution or googleSearch tool, or null when neither is enabled or applies
+     */
+    answerWithBuiltInTools(tools, prompt) {
+        if (codeExecution.isCodeExecutionEnabled(tools)) {
+            const parts = codeExecution.planCodeExecution(prompt);
+            if (parts) {
+                return { parts };
+            }
+        }
+
+        if (SearchIndex.isEnabled(tools)) {
+            const grounded = this.searchIndex.ground(prompt);
+            if (grounded) {
+                return { parts: [{ text: grounded.text }], groundingMetadata: grounded.groundingMetadata };
+            }
+        }
+
+        return null;
+    }
+
+    generateCandidateText(generationConfig, context, { fixture, functionResponses, random }) {
+        let responseText;
+
+        if (fixture) {
+            responseText = fixture.response.text !== undefined ?
+                fixture.response.text :
+                (fixture.response.chunks || []).join('');
+        } else if (functionResponses.length > 0) {
+            responseText = functionCalling.describeFunctionResponses(functionResponses);
+        } else {
+            responseText = this.generateContextualResponse(context, random);
+        }
+
+        // JSON and enum modes replace the prose with output that fits the response schema
+        if (!fixture) {
+            responseText = generateStructuredOutput({
+                mimeType: generationConfig.responseMimeType,
+                schema: generationConfig.responseSchema,
+                jsonSchema: generationConfig.responseJsonSchema,
+                prompt: context.prompt,
+                fallbackText: responseText,
+                random
+            });
+        }
+
+        return responseText;
+    }
+
+    /**
+     * Ends the text at the first stop sequence, which is not included, then at maxOutputTokens
+     * @returns {{ text: string, finishReason: string }} MAX_TOKENS when the token limit cut the text
+     */
+    applyOutputLimits(text, stopSequences = [], maxOutputTokens) {
+        const stops = stopSequences
+            .filter(Boolean)
+            .map(sequence => text.indexOf(sequence))
+            .filter(position => position !== -1);
+
+        if (stops.length > 0) {
+            text = text.slice(0, Math.min(...stops));
+        }
+
+        if (!maxOutputTokens || this.estimateTokens(text) <= maxOutputTokens) {
+            return { text, finishReason: 'STOP' };
+        }
+
+        // Whole words only, counted with the same estimate as usageMetadata
+        let kept = '';
+        let tokens = 0;
+
+        for (const word of text.match(/\s*\S+/g)) {
+            tokens += this.estimateTokens(word);
+            if (tokens > maxOutputTokens) {
+                break;
+            }
+            kept += word;
+        }
+
+        return { text: kept, finishReason: 'MAX_TOKENS' };
+    }
+
+    buildResponse(candidates, requestBody, model) {
+        // Calculate token usage (same accounting as the countTokens route); the prompt
+        // is billed once and every candidate's output is added up
+        const promptTokenCount = this.countRequestTokens(requestBody);
+        const promptTokens = promptTokenCount.totalTokens;
+        const candidatesTokenCount = candidates.reduce((total, candidate) => total + candidate.tokenCount, 0);
+
+        return {
+            candidates: candidates.map(({ parts, finishReason = 'STOP', safetyRatings, groundingMetadata }, index) => ({
+                ...(parts && {
+                    content: {
+                        parts,
+                        role: 'model'
+                    }
+                }),
+                finishReason,
+                index,
+                safetyRatings,
+                ...(groundingMetadata && { groundingMetadata })
+            })),
+            usageMetadata: {
+                promptTokenCount: promptTokens,
+                candidatesTokenCount,
+                totalTokenCount: promptTokens + candidatesTokenCount,
+                promptTokensDetails: promptTokenCount.promptTokensDetails
+            },
+            modelVersion: model || 'gemini-1.5-pro-001'
+        };
+    }
+
+    buildBlockedPromptResponse(safetyRatings, requestBody, model) {
+        const promptTokenCount = this.countRequestTokens(requestBody);
+
+        return {
+            promptFeedback: {
+                blockReason: 'SAFETY',
+                safetyRatings
+            },
+            usageMetadata: {
+                promptTokenCount: promptTokenCount.totalTokens,
+                totalTokenCount: promptTokenCount.totalTokens,
+                promptTokensDetails: promptTokenCount.promptTokensDetails
+            },
+            modelVersion: model || 'gemini-1.5-pro-001'
+        };
+    }
+
+    createRequestRandom(req) {
+        const headerSeed = req.headers['x-mock-seed'];
+
+        if (headerSeed !== undefined) {
+            return createRandom(headerSeed);
+        }
+
+        if (this.seed === undefined || this.seed === null) {
+            return Math.random;
+        }
+
+        // Derive the generator from the request itself so results do not depend on the
+        // order concurrent requests arrive in; repeats of the same request advance a counter
+        const query = { ...req.query };
+        delete query.key;
+
+        const requestKey = `${req.method} ${req.path} ${JSON.stringify(query)} ${JSON.stringify(req.body || {})}`;
+        const occurrence = this.seedCounters[requestKey] || 0;
+        this.seedCounters[requestKey] = occurrence + 1;
+
+        return createRandom(`${this.seed}:${requestKey}:${occurrence}`);
+    }
+
+    buildRequestContext(requestBody, model, route) {
+        const contents = requestBody.contents || [];
+        const lastContent = contents[contents.length - 1] || {};
+        const isMedia = part => part.inline_data || part.inlineData || part.file_data || part.fileData;
+        const hasImage = contents.some(content => content.parts?.some(isMedia));
+
+        return {
+            model,
+            route,
+            prompt: lastContent.parts?.find(part => part.text)?.text || '',
+            role: lastContent.role || 'user',
+            turnCount: contents.length,
+            hasImage,
+            hasTools: Array.isArray(requestBody.tools) && requestBody.tools.length > 0,
+            // The media of the latest message that has any
+            ...(hasImage && {
+                imageDescription: images.describeAttachments(
+                    contents.filter(content => content.parts?.some(isMedia)).pop().parts
+                        .filter(isMedia)
+                        .map(part => ({ image: this.readImagePart(part), mimeType: this.getMediaType(part) }))
+                )
+            })
+        };
+    }
+
+    /**
+     * The image in an inline_data or file_data part
+     * @returns {object|null} Decoded image, or null for other media and unreadable data
+     */
+    readImagePart(part) {
+        const inlineData = part.inline_data || part.inlineData;
+        if (inlineData) {
+            return images.readInlineData(inlineData).image || null;
+        }
+
+        const fileData = part.file_data || part.fileData;
+        if (!this.imageFiles.has(fileData)) {
+            const id = this.files.parseUri(fileData.file_uri || fileData.fileUri);
+            const file = id && this.files.get(id);
+            const image = file && images.isImageType(file.mimeType) ?
+                images.decodeImage(fs.readFileSync(this.files.dataPath(id)), file.mimeType).image : null;
+
+            this.imageFiles.set(fileData, image || null);
+        }
+
+        return this.imageFiles.get(fileData);
+    }
+
+    getMediaType(part) {
+        const media = part.inline_data || part.inlineData || part.file_data || part.fileData;
+        const uri = media.file_uri || media.fileUri;
+        const id = uri && this.files.parseUri(uri);
+
+        return media.mime_type || media.mimeType || (id && this.files.get(id)?.mimeType) || null;
+    }
+
+    generateContextualResponse(context, random = Math.random) {
+        // The default rule set ends with a catch-all, so there is always a match
+        return this.fixtures.match(context, true, random).response.text;
+    }
+
+    sendStreamingResponse(req, res, fullResponse, fixtureChunks = null) {
+        this.writeStream(req, res, this.buildStreamChunks(fullResponse, fixtureChunks), {
+            sse: req.query.alt === 'sse',
+            model: req.params.model
+        });
+    }
+
+    /**
+     * Splits a generated response into the chunks streamGenerateContent sends
+     */
+    buildStreamChunks(fullResponse, fixtureChunks = null) {
+        const candidates = fullResponse.candidates || [];
+
+        // Blocked prompts and blocked candidates have no content to stream: send them whole
+        if (!candidates.some(candidate => candidate.content)) {
+            return [fullResponse];
+        }
+
+        // Text is streamed in deltas; function calls arrive whole in a single chunk.
+        // Fixture chunks are used as given unless a stop sequence or token limit cut the text
+        const deltasFor = candidate => {
+            if (!candidate.content) {
+                return [null];
+            }
+
+            const parts = candidate.content.parts;
+            if (!parts.every(part => typeof part.text === 'string')) {
+                return [parts];
+            }
+
+            const text = parts.map(part => part.text).join('');
+            const pieces = fixtureChunks && fixtureChunks.join('') === text ? fixtureChunks : this.splitIntoStreamChunks(text);
+            return pieces.map(piece => [{ text: piece }]);
+        };
+        const deltas = candidates.map(deltasFor);
+        const chunkCount = Math.max(...deltas.map(list => list.length));
+
+        // Each chunk carries only the new text of every candidate still streaming; a
+        // candidate's last delta also reports its finishReason, safety ratings and any
+        // grounding metadata, and the final chunk reports usage, as the real API does
+        return Array.from({ length: chunkCount }, (value, chunkIndex) => {
+            const chunk = {
+                candidates: [],
+                modelVersion: fullResponse.modelVersion
+            };
+
+            candidates.forEach((candidate, position) => {
+                const list = deltas[position];
+                if (chunkIndex >= list.length) {
+                    return;
+                }
+
+                const entry = list[chunkIndex] ?
+                    { content: { parts: list[chunkIndex], role: 'model' }, index: candidate.index } :
+                    { index: candidate.index };
+
+                if (chunkIndex === list.length - 1) {
+                    entry.finishReason = candidate.finishReason;
+                    entry.safetyRatings = candidate.safetyRatings;
+                    if (candidate.groundingMetadata) {
+                        entry.groundingMetadata = candidate.groundingMetadata;
+                    }
+                }
+
+                chunk.candidates.push(entry);
+            });
+
+            if (chunkIndex === chunkCount - 1) {
+                chunk.usageMetadata = fullResponse.usageMetadata;
+            }
+
+            return chunk;
+        });
+    }
+
+    /**
+     * Writes chunks 100ms apart as Server-Sent Events or as a JSON array, carrying out
+     * injected stream faults on the way
+     * @param {object} options - { sse, model, done }; done is a final SSE data line such
+     *   as the [DONE] marker OpenAI clients expect
+     */
+    writeStream(req, res, chunks, { sse, model, done = null }) {
+        res.writeHead(200, {
+            'Content-Type': sse ? 'text/event-stream' : 'application/json',
+            'Cache-Control': 'no-cache',
+            'Transfer-Encoding': 'chunked'
+        });
+
+        if (!sse) {
+            res.write('[');
+        }
+
+        let index = 0;
+        let timer = null;
+
+        // Stream faults strike after afterChunks chunks, or at the last chunk of a shorter
+        // stream, so a forced fault always happens
+        const faultAt = Math.min(req.fault?.afterChunks ?? 2, chunks.length - 1);
+
+        const writeNext = () => {
+            // Injected faults: hang up or corrupt the stream partway through
+            if (req.fault && index === faultAt) {
+                if (req.fault.type === 'truncate_stream') {
+                    return req.socket.destroy();
+                }
+                if (req.fault.type === 'malformed_json') {
+                    const broken = JSON.stringify(chunks[index]);
+                    res.write((sse ? 'data: ' : index === 0 ? '' : ',\r\n') + broken.slice(0, Math.floor(broken.length / 2)));
+                    return res.end();
+                }
+            }
+
+            const payload = JSON.stringify(chunks[index]);
+
+            if (sse) {
+                res.write(`data: ${payload}\r\n\r\n`);
+            } else {
+                res.write((index === 0 ? '' : ',\r\n') + payload);
+            }
+
+            index++;
+            this.metrics.streamChunks.inc({ model });
+
+            if (index === chunks.length) {
+                if (!sse) {
+                    res.write(']');
+                } else if (done) {
+                    res.write(`data: ${done}\r\n\r\n`);
+                }
+                res.end();
+                return;
+            }
+
+            timer = setTimeout(writeNext, this.zeroLatency ? 0 : 100); // 100ms delay between chunks
+        };
+
+        // Stop writing if the client goes away mid-stream
+        res.on('close', () => clearTimeout(timer));
+
+        writeNext();
+    }
+
+    splitIntoStreamChunks(text, wordsPerChunk = 4) {
+        // Keep the leading whitespace on each word so the deltas concatenate back to the full text
+        const words = text.match(/\s*\S+/g) || [text];
+        const chunks = [];
+
+        for (let i = 0; i < words.length; i += wordsPerChunk) {
+            chunks.push(words.slice(i, i + wordsPerChunk).join(''));
+        }
+
+        return chunks;
+    }
+
+    estimateTokens(text) {
+        if (!text) {
+            return 0;
+        }
+
+        // Rough estimation: one token per ~4 characters of a word, one per punctuation mark
+        const pieces = text.match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+        return pieces.reduce((total, piece) => total + Math.ceil(piece.length / 4), 0);
+    }
+
+    countRequestTokens(request) {
+        // Images are billed by tile; other media and unreadable images at the rate of one tile
+        const IMAGE_TOKENS = 258;
+        const counts = { TEXT: 0, IMAGE: 0 };
+
+        const countParts = (parts = []) => {
+            for (const part of parts) {
+                if (part.text) {
+                    counts.TEXT += this.estimateTokens(part.text);
+                }
+                if (part.functionCall || part.functionResponse) {
+                    counts.TEXT += this.estimateTokens(JSON.stringify(part.functionCall || part.functionResponse));
+                }
+                if (part.inline_data || part.inlineData || part.file_data || part.fileData) {
+                    const image = this.readImagePart(part);
+                    counts.IMAGE += image ? images.countImageTokens(image) : IMAGE_TOKENS;
+                }
+            }
+        };
+
+        for (const content of request.contents || []) {
+            countParts(content.parts);
+        }
+
+        const systemInstruction = request.systemInstruction || request.system_instruction;
+        if (systemInstruction) {
+            countParts(systemInstruction.parts);
+        }
+
+        if (request.tools) {
+            counts.TEXT += this.estimateTokens(JSON.stringify(request.tools));
+        }
+
+        return {
+            totalTokens: counts.TEXT + counts.IMAGE,
+            promptTokensDetails: Object.entries(counts)
+                .filter(([, tokenCount]) => tokenCount > 0)
+                .map(([modality, tokenCount]) => ({ modality, tokenCount }))
+        };
+    }
+
+    /**
+     * Input tokens a model request counts against the tokens-per-minute quota. Inline batch
+     * requests count in full; a batch read from a file counts nothing
+     */
+    countQuotaTokens(body) {
+        const inlined = body.batch?.inputConfig?.requests?.requests || body.batch?.input_config?.requests?.requests;
+        const requests = [
+            body,
+            ...(Array.isArray(body.requests) ? body.requests : []),
+            ...(Array.isArray(inlined) ? inlined.map(entry => entry?.request || {}) : [])
+        ];
+
+        try {
+            return requests.reduce((total, request) => {
+                const contents = request.contents || (request.content ? [request.content] : []);
+                return total + this.countRequestTokens({ ...request, contents }).totalTokens;
+            }, 0);
+        } catch (error) {
+            // Malformed bodies are rejected by validation afterwards
+            return 0;
+        }
+    }
+
+    setupErrorHandling() {
+        this.app.use((error, req, res, next) => {
+            // Bodies that are not valid JSON are the client's fault, as with the real API
+            if (error.type === 'entity.parse.failed') {
+                return this.sendError(res, 400, `Invalid JSON payload received. ${error.message}`, 'INVALID_ARGUMENT');
+            }
+
+            this.logger.error('Unhandled error', { requestId: req.id, method: req.method, path: req.path, error });
+            res.status(500).json({
+                error: {
+                    code: 500,
+                    message: 'Internal server error',
+                    status: 'INTERNAL'
+                }
+            });
+        });
+    }
+
+    /**
+     * Creates an in-process server on a free port and starts it
+     * @param {object} options - Constructor options; port defaults to 0
+     * @returns {Promise<GeminiMockServer>} The running server; read its url property
+     */
+    static async create(options = {}) {
+        const server = new GeminiMockServer(options.port ?? 0, { inProcess: true, ...options });
+        await server.start();
+        return server;
+    }
+
+    /**
+     * @returns {Promise<{ address: string, port: number, url: string }>} Resolves once the
+     *   server is listening, with the port it bound
+     * @throws {Error} When the server is already running or the port cannot be bound
+     */
+    start() {
+        if (this.server) {
+            return Promise.reject(new Error(`The mock server is already running at ${this.url}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const server = this.app.listen(this.port, this.host);
+
+            server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+            // After stop(), each kept-alive socket is closed once its last response finishes
+            server.on('request', (req, res) => res.on('finish', () => {
+                if (!server.listening) {
+                    setImmediate(() => server.closeIdleConnections());
+                }
+            }));
+
+            server.once('error', reject);
+            server.once('listening', () => {
+                server.off('error', reject);
+
+                const { address, port } = server.address();
+                this.server = server;
+                this.port = port;
+                this.url = `http://${this.host || 'localhost'}:${port}`;
+
+                this.logStartup();
+
+                resolve({ address, port, url: this.url });
+            });
+        });
+    }
+
+    /**
+     * Accepts Live API WebSocket connections on the BidiGenerateContent path, checking the
+     * API key first. Other upgrade requests are refused
+     */
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (!LIVE_PATH.test(url.pathname)) {
+            return socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        }
+
+        const given = req.headers['x-request-id'];
+        const requestId = REQUEST_ID_PATTERN.test(given || '') ? given : crypto.randomUUID();
+        const query = Object.fromEntries(url.searchParams);
+        const { credential, error } = this.keys.authenticate({ headers: req.headers, query });
+
+        this.liveServer.handleUpgrade(req, socket, head, ws => {
+            if (error) {
+                this.logger.info('Live session refused', { requestId, status: error.error.status });
+                return LiveSession.reject(ws, error.error);
+            }
+
+            const random = this.createRequestRandom({ method: req.method, path: url.pathname, query, headers: req.headers });
+            const session = new LiveSession(ws, {
+                models: this.models,
+                admit: model => this.admitLiveSession(credential, model),
+                generate: (body, model) => this.generateLiveTurn(body, model, random),
+                splitText: text => this.splitIntoStreamChunks(text),
+                zeroLatency: this.zeroLatency,
+                logger: this.logger
+            });
+            const startedAt = Date.now();
+
+            this.liveSessions.add(session);
+            this.logger.info('Live session opened', { requestId, path: url.pathname });
+
+            ws.on('close', code => {
+                this.liveSessions.delete(session);
+                this.logger.info('Live session closed', {
+                    requestId,
+                    model: session.config?.model,
+                    turns: session.turnCount,
+                    closeCode: code,
+                    durationMs: Date.now() - startedAt
+                });
+            });
+        });
+    }
+
+    /**
+     * Counts a Live session against the key's request quota when its setup arrives
+     * @returns {object|null} The quota error that refuses the session
+     */
+    admitLiveSession(apiKey, model) {
+        const { violation } = this.quotas.consume(apiKey, model, 0);
+
+        if (!violation) {
+            this.metrics.liveSessions.inc({ model });
+            return null;
+        }
+
+        this.metrics.quotaRejections.inc({ model, tier: violation.tier, quota: violation.quota });
+        const retrySeconds = Math.max(Math.ceil(violation.retryAfterMs / 1000), 1);
+        return this.quotas.buildError(violation, 'bidiGenerateContent', retrySeconds).error;
+    }
+
+    /**
+     * Answers one Live session turn. The history is validated and held to the model's
+     * token limits like a generateContent request. Text fixtures apply with the
+     * bidiGenerateContent route; fixtures that replace the whole response do not
+     * @returns {{ response: object }|{ error: object }} error is { code, message }
+     */
+    generateLiveTurn(body, model, random) {
+        const violations = validateGenerateContentRequest(body);
+
+        if (violations.length > 0) {
+            const { error } = buildValidationError(violations, 'BidiGenerateContentRequest');
+            return { error: { code: error.code, message: error.message.trim() } };
+        }
+
+        const limitError = this.checkTokenLimits(body, this.models.get(model));
+        if (limitError) {
+            return { error: { code: 400, message: limitError } };
+        }
+
+        const fixture = this.fixtures.match(this.buildRequestContext(body, model, 'bidiGenerateContent'), false, random);
+        const textFixture = fixture && !fixture.response.status && !fixture.response.body ? fixture : null;
+        const response = this.generateMockResponse(body, model, { route: 'bidiGenerateContent', fixture: textFixture, random });
+
+        this.metrics.recordUsage(model, response.usageMetadata);
+        return { response };
+    }
+
+    /**
+     * Stops accepting connections and resolves once in-flight requests, streams included,
+     * have finished. Live sessions are sent goAway and closed. Connections still open
+     * after the timeout are cut. Pending journal waits are rejected
+     * @param {object} options - { timeout } in milliseconds
+     */
+    stop({ timeout = STOP_TIMEOUT_MS } = {}) {
+        const server = this.server;
+
+        if (!server) {
+            return Promise.resolve();
+        }
+
+        this.server = null;
+        this.journal.cancelWaits();
+
+        for (const session of this.liveSessions) {
+            session.goAway();
+        }
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                server.closeAllConnections();
+                this.liveServer.clients.forEach(ws => ws.terminate());
+            }, timeout);
+
+            server.close(() => {
+                clearTimeout(timer);
+
+                if (this.privateFilesDir) {
+                    fs.rmSync(this.privateFilesDir, { recursive: true, force: true });
+                }
+
+                resolve();
+            });
+
+            server.closeIdleConnections();
+        });
+    }
+
+    logStartup() {
+        this.logger.info('Gemini Mock Server started', {
+            url: this.url,
+            port: this.port,
+            health: `${this.url}/health`,
+            apiBase: `${this.url}/v1beta`,
+            metrics: `${this.url}/metrics`,
+            live: `${this.url.replace(/^http/, 'ws')}/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent`,
+            keys: this.keys.config ? 'inline' : this.keys.file,
+            faultProfile: this.faultInjector.profileName,
+            zeroLatency: this.zeroLatency,
+            mode: this.recordReplay.mode,
+            ...(this.seed !== undefined && { seed: this.seed }),
+            ...(this.recordReplay.mode !== 'mock' && { cassette: this.recordReplay.cassettePath })
+        });
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Reads MOCK_BATCH_TIMELINE: the pending and running durations in milliseconds, as "2000,5000"
+ */
+function parseBatchTimeline(value) {
+    const [pendingMs, runningMs] = value.split(',').map(Number);
+
+    if (![pendingMs, runningMs].every(ms => Number.isFinite(ms) && ms >= 0)) {
+        throw new Error(`Invalid MOCK_BATCH_TIMELINE: ${value}. Use pending and running milliseconds, as in 2000,5000`);
+    }
+
+    return { pendingMs, runningMs };
+}
+
+// Start server if run directly
+if (require.main === module) {
+    const port = process.env.MOCK_SERVER_PORT || 3000;
+    const server = new GeminiMockServer(port, {
+        profile: process.env.MOCK_PROFILE,
+        fixtures: process.env.MOCK_FIXTURES,
+        models: process.env.MOCK_MODELS,
+        searchIndex: process.env.MOCK_SEARCH_INDEX,
+        filesDir: process.env.MOCK_FILES_DIR,
+        seed: process.env.MOCK_SEED,
+        zeroLatency: process.env.MOCK_ZERO_LATENCY === 'true',
+        mode: process.env.MOCK_MODE,
+        upstream: process.env.MOCK_UPSTREAM,
+        cassette: process.env.MOCK_CASSETTE,
+        quotas: process.env.MOCK_QUOTAS,
+        keys: process.env.MOCK_KEYS,
+        logLevel: process.env.MOCK_LOG_LEVEL,
+        batchTimeline: process.env.MOCK_BATCH_TIMELINE && parseBatchTimeline(process.env.MOCK_BATCH_TIMELINE)
+    });
+    server.start().catch(error => {
+        server.logger.error('Failed to start the mock server', { error });
+        process.exit(1);
+    });
+
+    // A graceful stop also removes the private files directory
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => server.stop().finally(() => process.exit(0)));
+    }
 }
 
 module.exports = GeminiMockServer;
\ No newline at end of file
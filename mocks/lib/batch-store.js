@@ -0,0 +1,208 @@
+/**
+ * Batch Store
+ * In-memory emulation of batch generation jobs, exposed as long-running operations. A job
+ * moves from pending to running to its final state on a fixed timeline. Its state is worked
+ * out from the clock whenever it is read, so nothing runs in the background
+ */
+
+const { paginate } = require('./pagination');
+const { createId } = require('./ids');
+
+const DEFAULT_TIMELINE = { pendingMs: 2000, runningMs: 5000 };
+
+const DEFAULT_PAGE_SIZE = 10;
+
+const MAX_PAGE_SIZE = 1000;
+
+const TYPE_PREFIX = 'type.googleapis.com/google.ai.generativelanguage.v1beta';
+
+// google.rpc.Code values used in operation errors
+const CANCELLED_CODE = 1;
+const FAILED_CODE = 3;
+
+class BatchStore {
+    /**
+     * @param {object} options - { timeline, writeResults }. timeline is { pendingMs,
+     *   runningMs }. writeResults(batch) stores the results of a file-based batch and
+     *   returns the file name; it is called once, when the batch first reads as finished
+     */
+    constructor(options = {}) {
+        this.timeline = { ...DEFAULT_TIMELINE, ...options.timeline };
+        this.writeResults = options.writeResults;
+        this.batches = new Map();
+    }
+
+    /**
+     * @param {object} batch - { model, displayName, inputFile, results }. results holds one
+     *   { key?, metadata?, response|error } per request, in request order
+     * @param {function(): number} [random] - The request's generator, for a seeded id
+     */
+    create(batch, random) {
+        const now = Date.now();
+        const entry = {
+            ...batch,
+            id: createId(id => this.batches.has(id), random),
+            createTime: now,
+            timeline: { ...this.timeline }
+        };
+
+        this.batches.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * @param {string} id - Operation id with or without the operations/ prefix
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.batches.get(id.replace(/^operations\//, '')) || null;
+    }
+
+    /**
+     * Lists batches, newest first
+     * @throws {Error} When pageSize or pageToken is invalid
+     */
+    list(pageSize, pageToken) {
+        const batches = [...this.batches.values()]
+            .sort((a, b) => b.createTime - a.createTime || a.id.localeCompare(b.id));
+
+        const { items, nextPageToken } = paginate(batches, pageSize, pageToken, {
+            defaultSize: DEFAULT_PAGE_SIZE,
+            maxSize: MAX_PAGE_SIZE
+        });
+
+        return { operations: items, ...(nextPageToken && { nextPageToken }) };
+    }
+
+    /**
+     * Stops a batch that has not finished. Requests it already processed keep their results
+     * @throws {Error} When the batch has already finished
+     */
+    cancel(batch) {
+        const state = this.getState(batch);
+
+        if (isFinished(state)) {
+            throw new Error(`Batch operations/${batch.id} is already in a terminal state: ${state}`);
+        }
+
+        batch.cancelTime = Date.now();
+        return batch;
+    }
+
+    /**
+     * @returns {boolean} Whether a batch was removed
+     */
+    delete(id) {
+        return this.batches.delete(id.replace(/^operations\//, ''));
+    }
+
+    getState(batch, now = Date.now()) {
+        if (batch.cancelTime !== undefined) {
+            return 'BATCH_STATE_CANCELLED';
+        }
+
+        const elapsed = now - batch.createTime;
+
+        if (elapsed < batch.timeline.pendingMs) {
+            return 'BATCH_STATE_PENDING';
+        }
+        if (elapsed < batch.timeline.pendingMs + batch.timeline.runningMs) {
+            return 'BATCH_STATE_RUNNING';
+        }
+
+        return batch.results.every(result => result.error) ? 'BATCH_STATE_FAILED' : 'BATCH_STATE_SUCCEEDED';
+    }
+
+    /**
+     * Requests processed by a point in time. They are worked through at an even pace
+     * while the batch runs
+     */
+    countProcessed(batch, now = Date.now()) {
+        const { pendingMs, runningMs } = batch.timeline;
+        const elapsed = Math.min(now, batch.cancelTime ?? now) - batch.createTime - pendingMs;
+
+        if (elapsed < 0) {
+            return 0;
+        }
+        if (elapsed >= runningMs) {
+            return batch.results.length;
+        }
+
+        return Math.floor(batch.results.length * elapsed / runningMs);
+    }
+
+    /**
+     * Formats a batch as an Operation resource with GenerateContentBatch metadata. Finished
+     * batches carry their output, or an error when they failed or were cancelled
+     */
+    toResource(batch) {
+        const now = Date.now();
+        const state = this.getState(batch, now);
+        const processed = batch.results.slice(0, this.countProcessed(batch, now));
+        const failed = processed.filter(result => result.error).length;
+        const done = isFinished(state);
+        const endTime = batch.cancelTime ?? batch.createTime + batch.timeline.pendingMs + batch.timeline.runningMs;
+
+        const metadata = {
+            '@type': `${TYPE_PREFIX}.GenerateContentBatch`,
+            model: batch.model,
+            ...(batch.displayName && { displayName: batch.displayName }),
+            createTime: new Date(batch.createTime).toISOString(),
+            updateTime: new Date(done ? endTime : Math.min(now, endTime)).toISOString(),
+            ...(done && { endTime: new Date(endTime).toISOString() }),
+            state,
+            batchStats: {
+                requestCount: String(batch.results.length),
+                pendingRequestCount: String(batch.results.length - processed.length),
+                successfulRequestCount: String(processed.length - failed),
+                failedRequestCount: String(failed)
+            }
+        };
+
+        const resource = { name: `operations/${batch.id}`, metadata, done };
+
+        if (state === 'BATCH_STATE_SUCCEEDED') {
+            resource.response = { '@type': `${TYPE_PREFIX}.GenerateContentBatchOutput`, ...this.buildOutput(batch) };
+        } else if (state === 'BATCH_STATE_FAILED') {
+            resource.error = {
+                code: FAILED_CODE,
+                message: `All requests in the batch failed. First error: ${batch.results[0].error.message.trim()}`
+            };
+        } else if (state === 'BATCH_STATE_CANCELLED') {
+            resource.error = { code: CANCELLED_CODE, message: 'The batch was cancelled.' };
+        }
+
+        return resource;
+    }
+
+    buildOutput(batch) {
+        if (batch.inputFile) {
+            batch.responsesFile = batch.responsesFile || this.writeResults(batch);
+            return { responsesFile: batch.responsesFile };
+        }
+
+        return {
+            inlinedResponses: {
+                inlinedResponses: batch.results.map(({ response, error, metadata }) => ({
+                    ...(error ? { error } : { response }),
+                    ...(metadata && { metadata })
+                }))
+            }
+        };
+    }
+
+    /**
+     * Result file contents: one JSON line per request, in request order, keyed like the input
+     */
+    formatResults(batch) {
+        return batch.results
+            .map(({ key, response, error }) => JSON.stringify({ ...(key !== undefined && { key }), ...(error ? { error } : { response }) }))
+            .join('\n') + '\n';
+    }
+}
+
+function isFinished(state) {
+    return state !== 'BATCH_STATE_PENDING' && state !== 'BATCH_STATE_RUNNING';
+}
+
+module.exports = BatchStore;
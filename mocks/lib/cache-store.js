@@ -0,0 +1,158 @@
+/**
+ * Cache Store
+ * In-memory emulation of the cachedContents API: cached prompts with a TTL that
+ * generateContent requests can reference instead of resending the same context
+ */
+
+const { paginate } = require('./pagination');
+const { createId } = require('./ids');
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+const MIN_CACHE_TOKENS = 1024;
+
+const DEFAULT_PAGE_SIZE = 10;
+
+const MAX_PAGE_SIZE = 1000;
+
+const TTL_PATTERN = /^(\d+(?:\.\d+)?)s$/;
+
+class CacheStore {
+    constructor() {
+        this.caches = new Map();
+    }
+
+    /**
+     * @param {object} cache - { model, displayName, contents, systemInstruction, tools, toolConfig }
+     * @param {number} totalTokenCount - Tokens in the cached contents
+     * @param {object} expiration - { ttl, expireTime } as sent by the client
+     * @param {function(): number} [random] - The request's generator, for a seeded id
+     * @throws {Error} When the content is too small or the expiration is invalid
+     */
+    create(cache, totalTokenCount, expiration, random) {
+        if (totalTokenCount < MIN_CACHE_TOKENS) {
+            throw new Error(`Cached content is too small. total_token_count=${totalTokenCount}, min_total_token_count=${MIN_CACHE_TOKENS}`);
+        }
+
+        const now = Date.now();
+        const entry = {
+            ...cache,
+            id: createId(id => this.caches.has(id), random),
+            totalTokenCount,
+            createTime: now,
+            updateTime: now,
+            expireTime: this.resolveExpireTime(expiration, now)
+        };
+
+        this.caches.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * @param {string} id - Cache id with or without the cachedContents/ prefix
+     * @returns {object|null} Cache, or null when missing or expired
+     */
+    get(id) {
+        const key = id.replace(/^cachedContents\//, '');
+        const cache = this.caches.get(key);
+
+        if (cache && cache.expireTime <= Date.now()) {
+            this.caches.delete(key);
+            return null;
+        }
+
+        return cache || null;
+    }
+
+    /**
+     * Lists unexpired caches, newest first
+     * @throws {Error} When pageSize or pageToken is invalid
+     */
+    list(pageSize, pageToken) {
+        const caches = [...this.caches.keys()]
+            .map(id => this.get(id))
+            .filter(Boolean)
+            .sort((a, b) => b.createTime - a.createTime || a.id.localeCompare(b.id));
+
+        const { items, nextPageToken } = paginate(caches, pageSize, pageToken, {
+            defaultSize: DEFAULT_PAGE_SIZE,
+            maxSize: MAX_PAGE_SIZE
+        });
+
+        return { cachedContents: items, ...(nextPageToken && { nextPageToken }) };
+    }
+
+    /**
+     * Moves the expiration of an existing cache. Only ttl and expireTime can change
+     * @throws {Error} When the expiration is invalid
+     */
+    updateExpiration(cache, expiration) {
+        const now = Date.now();
+
+        cache.expireTime = this.resolveExpireTime(expiration, now);
+        cache.updateTime = now;
+        return cache;
+    }
+
+    /**
+     * @returns {boolean} Whether a cache was removed
+     */
+    delete(id) {
+        return Boolean(this.get(id)) && this.caches.delete(id.replace(/^cachedContents\//, ''));
+    }
+
+    resolveExpireTime({ ttl, expireTime } = {}, now) {
+        if (ttl !== undefined && expireTime !== undefined) {
+            throw new Error('Only one of ttl and expireTime can be set');
+        }
+
+        if (expireTime !== undefined) {
+            const time = Date.parse(expireTime);
+
+            if (Number.isNaN(time)) {
+                throw new Error(`Invalid expireTime: ${expireTime}`);
+            }
+            if (time <= now) {
+                throw new Error('expireTime must be in the future');
+            }
+
+            return time;
+        }
+
+        if (ttl === undefined) {
+            return now + DEFAULT_TTL_SECONDS * 1000;
+        }
+
+        const match = TTL_PATTERN.exec(String(ttl));
+        if (!match || Number(match[1]) <= 0) {
+            throw new Error(`Invalid ttl: ${ttl}. Use a positive duration in seconds such as "300s"`);
+        }
+
+        return now + Math.round(Number(match[1]) * 1000);
+    }
+
+    /**
+     * Formats a cache as a CachedContent resource. Like the API, the cached contents
+     * themselves are never returned
+     */
+    toResource(cache) {
+        const resource = {
+            name: `cachedContents/${cache.id}`,
+            model: cache.model,
+            createTime: new Date(cache.createTime).toISOString(),
+            updateTime: new Date(cache.updateTime).toISOString(),
+            expireTime: new Date(cache.expireTime).toISOString(),
+            usageMetadata: {
+                totalTokenCount: cache.totalTokenCount
+            }
+        };
+
+        if (cache.displayName) {
+            resource.displayName = cache.displayName;
+        }
+
+        return resource;
+    }
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,250 @@
+/**
+ * Code Execution Simulation
+ * Answers prompts with executableCode and codeExecutionResult parts when the
+ * codeExecution tool is enabled. Arithmetic in the prompt becomes a Python print
+ * statement, worked out by a small expression parser. JavaScript code blocks are run
+ * as given in a worker thread sandbox, see code-sandbox-worker.js
+ */
+
+const path = require('path');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+
+const TIMEOUT_MS = 1000;
+// Leaves time for the worker thread to start on top of the script's own time limit
+const DEADLINE_MS = 3000;
+const MAX_OUTPUT_LENGTH = 10000;
+const SANDBOX_WORKER = path.join(__dirname, 'code-sandbox-worker.js');
+const SANDBOX_LIMITS = { maxOldGenerationSizeMb: 32, maxYoungGenerationSizeMb: 8, codeRangeSizeMb: 8, stackSizeMb: 2 };
+
+// Words that stand for operators in prompts like "what is 12 times 7"
+const OPERATOR_WORDS = [
+    [/\bto the power of\b/gi, '**'],
+    [/\bmultiplied by\b|\btimes\b/gi, '*'],
+    [/\bdivided by\b/gi, '/'],
+    [/\bplus\b/gi, '+'],
+    [/\bminus\b/gi, '-'],
+    [/\bmod(?:ulo)?\b/gi, '%'],
+    [/(\d)\s*[x×]\s*(?=\d)/g, '$1*'],
+    [/÷/g, '/'],
+    [/\^/g, '**']
+];
+
+const EXPRESSION_PATTERN = /[(\d][\d\s.+\-*/%()]*[\d)]/g;
+
+const JAVASCRIPT_BLOCK = /```(?:javascript|js|node)\s*\n([\s\S]*?)```/i;
+
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?|\.\d+|\*\*|[-+*/%()])/y;
+
+function isCodeExecutionEnabled(tools = []) {
+    return tools.some(tool => tool.codeExecution || tool.code_execution);
+}
+
+/**
+ * Evaluates an arithmetic expression of numbers, + - * / % ** and parentheses the way
+ * Python would, since the answer shows it as Python code
+ * @returns {number|null} Null when the expression is malformed
+ */
+function evaluateArithmetic(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) {
+                break;
+            }
+            return null;
+        }
+        tokens.push(match[1]);
+    }
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parsePrimary = () => {
+        const token = next();
+
+        if (token === '(') {
+            const value = parseSum();
+            if (next() !== ')') {
+                throw new SyntaxError('Unbalanced parentheses');
+            }
+            return value;
+        }
+        if (token !== undefined && /^[\d.]/.test(token)) {
+            return Number(token);
+        }
+
+        throw new SyntaxError(`Unexpected token ${token}`);
+    };
+
+    const parseUnary = () => {
+        if (peek() === '-' || peek() === '+') {
+            return next() === '-' ? -parseUnary() : parseUnary();
+        }
+        return parsePower();
+    };
+
+    // ** binds tighter than a unary minus on its left and is right-associative
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() === '**') {
+            next();
+            return base ** parseUnary();
+        }
+        return base;
+    };
+
+    const parseProduct = () => {
+        let value = parseUnary();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = next();
+            const operand = parseUnary();
+            // Python's remainder takes the sign of the divisor
+            value = operator === '*' ? value * operand : operator === '/' ? value / operand : ((value % operand) + operand) % operand;
+        }
+        return value;
+    };
+
+    const parseSum = () => {
+        let value = parseProduct();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseProduct() : value - parseProduct();
+        }
+        return value;
+    };
+
+    try {
+        const value = parseSum();
+        return position === tokens.length ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Finds the longest arithmetic expression in a prompt that evaluateArithmetic can parse
+ */
+function extractExpression(prompt) {
+    const text = OPERATOR_WORDS.reduce((result, [pattern, operator]) => result.replace(pattern, operator), prompt);
+    const candidates = (text.match(EXPRESSION_PATTERN) || [])
+        .map(candidate => candidate.trim())
+        .filter(candidate => /\d\s*[-+*/%]+\s*[-(\d.]/.test(candidate) && /^[\d\s.+\-*/%()]+$/.test(candidate))
+        .sort((a, b) => b.length - a.length);
+
+    return candidates.find(candidate => evaluateArithmetic(candidate) !== null) || null;
+}
+
+/**
+ * Prints a number the way Python would: true division always gives a float
+ */
+function formatPythonNumber(value, isFloat) {
+    if (Number.isInteger(value) && isFloat) {
+        return `${value}.0`;
+    }
+    return String(value);
+}
+
+function planArithmetic(expression) {
+    const code = `print(${expression.replace(/\s+/g, ' ')})`;
+    const value = evaluateArithmetic(expression);
+
+    if (!Number.isFinite(value)) {
+        return {
+            language: 'PYTHON',
+            code,
+            result: {
+                outcome: 'OUTCOME_FAILED',
+                output: 'Traceback (most recent call last):\n  File "<string>", line 1, in <module>\nZeroDivisionError: division by zero\n'
+            },
+            text: 'The calculation divides by zero, so it has no result.'
+        };
+    }
+
+    const output = formatPythonNumber(value, /(^|[^/])\/([^/]|$)/.test(expression) || /\.\d/.test(expression));
+
+    return {
+        language: 'PYTHON',
+        code,
+        result: { outcome: 'OUTCOME_OK', output: `${output}\n` },
+        text: `The result of ${expression.replace(/\s+/g, ' ')} is ${output}.`
+    };
+}
+
+/**
+ * Runs JavaScript in a worker thread with a capped heap and a time limit. Generation is
+ * synchronous, so this blocks until the worker signals its result or the deadline passes,
+ * and a worker that never answers, for example one that ran out of memory, is terminated
+ * @returns {{ outcome: string, output: string, value?: string }} value is the last
+ *   expression's value, formatted, when the code printed nothing
+ */
+function runJavaScript(code) {
+    const signal = new Int32Array(new SharedArrayBuffer(4));
+    const { port1, port2 } = new MessageChannel();
+    const worker = new Worker(SANDBOX_WORKER, {
+        workerData: { code, port: port2, signal, timeout: TIMEOUT_MS, maxOutputLength: MAX_OUTPUT_LENGTH },
+        transferList: [port2],
+        env: {},
+        resourceLimits: SANDBOX_LIMITS,
+        stdout: true,
+        stderr: true
+    });
+
+    // Errors such as running out of memory surface as a missing result instead
+    worker.on('error', () => {});
+    worker.unref();
+
+    Atomics.wait(signal, 0, 0, DEADLINE_MS);
+    const message = receiveMessageOnPort(port1);
+
+    port1.close();
+    worker.terminate();
+
+    return message ? message.message : { outcome: 'OUTCOME_DEADLINE_EXCEEDED', output: 'Code execution exceeded the time or memory limit.\n' };
+}
+
+function planJavaScript(code) {
+    const result = runJavaScript(code);
+    const output = result.output || (result.value !== undefined ? `${result.value}\n` : '');
+    const texts = {
+        OUTCOME_OK: output ? `Running the code printed:\n\n${output.trimEnd()}` : 'The code ran without printing any output.',
+        OUTCOME_FAILED: `The code threw an error: ${output.trimEnd()}`,
+        OUTCOME_DEADLINE_EXCEEDED: 'The code did not finish within the time limit.'
+    };
+
+    return {
+        // The API's Language enum only names Python
+        language: 'LANGUAGE_UNSPECIFIED',
+        code: code.trimEnd(),
+        result: { outcome: result.outcome, output },
+        text: texts[result.outcome]
+    };
+}
+
+/**
+ * Returns the parts of a code execution answer to the prompt: the code, its result and
+ * a summary. Null when the prompt has nothing to run, so the model answers in prose
+ */
+function planCodeExecution(prompt) {
+    const block = prompt.match(JAVASCRIPT_BLOCK);
+    const expression = block ? null : extractExpression(prompt);
+    const plan = block ? planJavaScript(block[1]) : expression && planArithmetic(expression);
+
+    if (!plan) {
+        return null;
+    }
+
+    return [
+        { executableCode: { language: plan.language, code: plan.code } },
+        { codeExecutionResult: plan.result },
+        { text: plan.text }
+    ];
+}
+
+module.exports = {
+    isCodeExecutionEnabled,
+    planCodeExecution,
+    evaluateArithmetic
+};
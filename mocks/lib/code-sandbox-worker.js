@@ -0,0 +1,70 @@
+/**
+ * Code Sandbox Worker
+ * Runs one JavaScript snippet for the code execution simulation. The thread is started
+ * with a capped heap and an empty environment, and the snippet runs in a fresh context
+ * of its own: its global has no prototype from this thread, so it only ever reaches its
+ * own Function constructor, which cannot compile strings. Nothing outside the context,
+ * require and process included, is reachable from the snippet
+ */
+
+const { workerData } = require('worker_threads');
+const vm = require('vm');
+
+const { code, port, signal, timeout, maxOutputLength } = workerData;
+
+// Runs inside the sandbox so user code only ever sees objects from its own context
+const PRELUDE = `
+globalThis.__output = [];
+globalThis.__format = value => typeof value === 'string' ? value :
+    (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+globalThis.console = { log: (...values) => { __output.push(values.map(__format).join(' ')); } };
+console.info = console.warn = console.error = console.debug = console.log;
+`;
+
+/**
+ * @returns {{ outcome: string, output: string, value?: string }} value is the last
+ *   expression's value, formatted, when the code printed nothing
+ */
+function run() {
+    const context = vm.createContext(Object.create(null), {
+        codeGeneration: { strings: false, wasm: false },
+        microtaskMode: 'afterEvaluate'
+    });
+    const evaluate = source => vm.runInContext(source, context, { timeout });
+
+    evaluate(PRELUDE);
+
+    let outcome = 'OUTCOME_OK';
+
+    try {
+        context.__value = evaluate(code);
+        context.__value = evaluate('__value === undefined ? undefined : __format(__value)');
+    } catch (error) {
+        if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            return { outcome: 'OUTCOME_DEADLINE_EXCEEDED', output: 'Code execution exceeded the time limit.\n' };
+        }
+
+        outcome = 'OUTCOME_FAILED';
+        context.__error = error;
+        try {
+            evaluate(`console.log(__error instanceof Error ? __error.name + ': ' + __error.message : 'Uncaught ' + __format(__error))`);
+        } catch (formatError) {
+            evaluate('console.log("Uncaught exception")');
+        }
+    }
+
+    const output = evaluate('__output.join("\\n")');
+
+    return {
+        outcome,
+        output: (output ? `${output}\n` : '').slice(0, maxOutputLength),
+        ...(outcome === 'OUTCOME_OK' && typeof context.__value === 'string' && { value: context.__value.slice(0, maxOutputLength) })
+    };
+}
+
+port.postMessage(run());
+port.close();
+
+// The main thread waits on the signal, since it reads the result synchronously
+Atomics.store(signal, 0, 1);
+Atomics.notify(signal, 0);
@@ -0,0 +1,107 @@
+/**
+ * Deterministic Embedding Generator
+ * Builds text-derived vectors for the mock embedContent routes using feature hashing,
+ * so identical inputs map to identical vectors and overlapping inputs stay close
+ */
+
+const TASK_TYPES = [
+    'TASK_TYPE_UNSPECIFIED',
+    'RETRIEVAL_QUERY',
+    'RETRIEVAL_DOCUMENT',
+    'SEMANTIC_SIMILARITY',
+    'CLASSIFICATION',
+    'CLUSTERING',
+    'QUESTION_ANSWERING',
+    'FACT_VERIFICATION',
+    'CODE_RETRIEVAL_QUERY'
+];
+
+const DEFAULT_DIMENSIONS = {
+    'text-embedding-004': 768,
+    'embedding-001': 768,
+    'gemini-embedding-001': 3072
+};
+
+// Each feature is spread over several buckets so short texts still produce dense vectors
+const PROJECTIONS = 8;
+
+// Share of the vector contributed by the task type; small enough that the text dominates
+const TASK_WEIGHT = 0.15;
+
+function fnv1a(text, seed = 0) {
+    let hash = 0x811c9dc5 ^ seed;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function extractFeatures(text) {
+    const normalized = text.toLowerCase();
+    const words = normalized.match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [];
+
+    for (const word of words) {
+        features.push(`w:${word}`);
+
+        const padded = ` ${word} `;
+        for (let i = 0; i <= padded.length - 3; i++) {
+            features.push(`c:${padded.slice(i, i + 3)}`);
+        }
+    }
+
+    for (let i = 0; i < words.length - 1; i++) {
+        features.push(`b:${words[i]} ${words[i + 1]}`);
+    }
+
+    return features;
+}
+
+function accumulate(vector, features, weight) {
+    for (const feature of features) {
+        for (let p = 0; p < PROJECTIONS; p++) {
+            const hash = fnv1a(feature, p);
+            const index = hash % vector.length;
+            const sign = (hash >>> 31) === 1 ? -1 : 1;
+            vector[index] += sign * weight;
+        }
+    }
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Returns the default vector size for an embedding model
+ */
+function getDefaultDimensions(model) {
+    return DEFAULT_DIMENSIONS[model] || 768;
+}
+
+/**
+ * Builds a unit-length embedding for text
+ * @param {string} text - Input text (title already prepended for documents)
+ * @param {object} options - { dimensions, taskType }
+ */
+function embedText(text, { dimensions = 768, taskType = 'TASK_TYPE_UNSPECIFIED' } = {}) {
+    const textVector = new Array(dimensions).fill(0);
+    accumulate(textVector, extractFeatures(text), 1);
+
+    const taskVector = new Array(dimensions).fill(0);
+    accumulate(taskVector, [`t:${taskType}`], 1);
+
+    const unitText = normalize(textVector);
+    const unitTask = normalize(taskVector);
+
+    return normalize(unitText.map((value, i) => value + unitTask[i] * TASK_WEIGHT))
+        .map(value => Number(value.toFixed(6)));
+}
+
+module.exports = {
+    TASK_TYPES,
+    getDefaultDimensions,
+    embedText
+};
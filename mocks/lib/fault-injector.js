@@ -0,0 +1,256 @@
+/**
+ * Fault Injector
+ * Adds latency and injected failures (error statuses, timeouts, dropped connections,
+ * truncated streams and malformed JSON) to mock server routes based on named profiles
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = path.join(__dirname, '../profiles');
+
+const FAULT_HEADER = 'x-mock-fault';
+
+const FAULT_TYPES = ['status', 'timeout', 'drop_connection', 'truncate_stream', 'malformed_json'];
+
+// Routes whose responses are streamed, the only ones a stream fault can strike
+const STREAM_ROUTES = ['streamGenerateContent'];
+
+// The canonical status each HTTP code maps to in Google API error bodies
+const STATUS_ERRORS = {
+    400: { status: 'INVALID_ARGUMENT', message: 'Request contains an invalid argument.' },
+    401: { status: 'UNAUTHENTICATED', message: 'Request had invalid authentication credentials.' },
+    403: { status: 'PERMISSION_DENIED', message: 'The caller does not have permission.' },
+    404: { status: 'NOT_FOUND', message: 'Requested entity was not found.' },
+    409: { status: 'ABORTED', message: 'The operation was aborted because of a conflict. Please retry.' },
+    429: { status: 'RESOURCE_EXHAUSTED', message: 'Resource has been exhausted (e.g. check quota).' },
+    499: { status: 'CANCELLED', message: 'The operation was cancelled.' },
+    500: { status: 'INTERNAL', message: 'An internal error has occurred. Please retry or report in https://developers.generativeai.google/guide/troubleshooting' },
+    501: { status: 'UNIMPLEMENTED', message: 'Operation is not implemented, or supported, or enabled.' },
+    503: { status: 'UNAVAILABLE', message: 'The model is overloaded. Please try again later.' },
+    504: { status: 'DEADLINE_EXCEEDED', message: 'Deadline expired before operation could complete.' }
+};
+
+class FaultInjector {
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+        this.zeroLatency = Boolean(options.zeroLatency);
+        this.enabled = options.enabled !== false;
+        this.stats = {};
+        this.loadProfile(options.profile || 'default');
+    }
+
+    static listProfiles() {
+        return fs.readdirSync(PROFILES_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'));
+    }
+
+    loadProfile(name) {
+        const profilePath = path.join(PROFILES_DIR, `${path.basename(name)}.json`);
+
+        if (!fs.existsSync(profilePath)) {
+            throw new Error(`Unknown fault profile: ${name} (available: ${FaultInjector.listProfiles().join(', ')})`);
+        }
+
+        const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+
+        for (const rule of profile.faults || []) {
+            if (!FAULT_TYPES.includes(rule.type)) {
+                throw new Error(`Invalid fault type "${rule.type}" in profile ${name}`);
+            }
+            if (rule.type === 'status' && rule.status !== undefined && !STATUS_ERRORS[rule.status]) {
+                throw new Error(`Invalid fault status ${rule.status} in profile ${name} (supported: ${Object.keys(STATUS_ERRORS).join(', ')})`);
+            }
+        }
+
+        this.profileName = name;
+        this.profile = profile;
+    }
+
+    getState() {
+        return {
+            enabled: this.enabled,
+            profile: this.profileName,
+            description: this.profile.description,
+            availableProfiles: FaultInjector.listProfiles(),
+            injected: this.stats
+        };
+    }
+
+    /**
+     * Express middleware: waits out the simulated latency, then either injects a
+     * fault or hands the request on. The injected fault is left in req.fault, which
+     * the streaming writer acts on for stream-level faults. Uses req.random when the
+     * server has attached a seeded generator
+     */
+    middleware() {
+        return (req, res, next) => {
+            const random = req.random || this.random;
+            const { route, model } = this.describeRequest(req);
+            let fault;
+
+            try {
+                fault = this.pickFault(req, route, model, random);
+            } catch (error) {
+                return res.status(400).json({
+                    error: { code: 400, message: error.message, status: 'INVALID_ARGUMENT' }
+                });
+            }
+
+            const latency = this.sampleLatency(route, model, random);
+
+            setTimeout(() => {
+                if (!fault) {
+                    return next();
+                }
+
+                this.stats[fault.type] = (this.stats[fault.type] || 0) + 1;
+                req.fault = fault;
+                this.applyFault(fault, req, res, next);
+            }, latency);
+        };
+    }
+
+    describeRequest(req) {
+        // Chat completions count as the model method they are translated to
+        if (req.modelCall) {
+            return { model: req.modelCall.model, route: req.modelCall.method };
+        }
+
+        // /models/{model}:{method} for generation routes, the first path segment otherwise
+        const match = req.path.match(/^\/models\/([^/:]+):(\w+)$/);
+
+        if (match) {
+            return { model: match[1], route: match[2] };
+        }
+
+        return { model: null, route: req.path.split('/')[1] || '' };
+    }
+
+    pickFault(req, route, model, random = this.random) {
+        const forced = req.headers[FAULT_HEADER];
+
+        if (forced) {
+            const fault = this.parseForcedFault(String(forced));
+
+            if (fault.type === 'truncate_stream' && !STREAM_ROUTES.includes(route)) {
+                throw new Error(`${FAULT_HEADER} truncate_stream only applies to streaming requests, such as streamGenerateContent`);
+            }
+            return fault;
+        }
+
+        if (!this.enabled) {
+            return null;
+        }
+
+        for (const rule of this.profile.faults || []) {
+            if (rule.type === 'truncate_stream' && !STREAM_ROUTES.includes(route)) {
+                continue;
+            }
+            if (this.matches(rule.route, route) && this.matches(rule.model, model) && random() < rule.rate) {
+                return rule;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @throws {Error} When the header names no fault, so a test that asks for one cannot
+     *   pass without it
+     */
+    parseForcedFault(value) {
+        if (/^\d{3}$/.test(value)) {
+            const status = Number(value);
+
+            if (!STATUS_ERRORS[status]) {
+                throw new Error(`${FAULT_HEADER} status must be one of ${Object.keys(STATUS_ERRORS).join(', ')}, got ${value}`);
+            }
+            return { type: 'status', status };
+        }
+
+        const type = value === 'drop' ? 'drop_connection' : value;
+
+        if (!FAULT_TYPES.includes(type)) {
+            throw new Error(`Unknown ${FAULT_HEADER} value "${value}". Use an error status, timeout, drop, truncate_stream or malformed_json`);
+        }
+        return { type };
+    }
+
+    matches(pattern, value) {
+        if (pattern === undefined || pattern === '*') {
+            return true;
+        }
+
+        const patterns = Array.isArray(pattern) ? pattern : [pattern];
+        return patterns.some(entry =>
+            new RegExp(`^${entry.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(value || '')
+        );
+    }
+
+    sampleLatency(route, model, random = this.random) {
+        const latency = this.profile.latency || {};
+        const spec = (latency.models && model && latency.models[model]) ||
+            (latency.routes && latency.routes[route]) ||
+            latency.default ||
+            { distribution: 'fixed', value: 0 };
+
+        const sampled = Math.max(0, Math.round(this.sampleDistribution(spec, random)));
+        return this.zeroLatency ? 0 : sampled;
+    }
+
+    sampleDistribution(spec, random = this.random) {
+        switch (spec.distribution) {
+            case 'uniform':
+                return spec.min + random() * (spec.max - spec.min);
+            case 'normal': {
+                // Box-Muller transform
+                const u = 1 - random();
+                const v = random();
+                return spec.mean + spec.stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+            }
+            case 'exponential':
+                return -spec.mean * Math.log(1 - random());
+            default:
+                return spec.value || 0;
+        }
+    }
+
+    applyFault(fault, req, res, next) {
+        switch (fault.type) {
+            case 'status': {
+                const code = fault.status || 500;
+                const details = STATUS_ERRORS[code];
+
+                return res.status(code).json({
+                    error: {
+                        code,
+                        message: fault.message || details.message,
+                        status: details.status
+                    }
+                });
+            }
+            case 'timeout': {
+                // Hold the request open without answering, then hang up
+                const timer = setTimeout(() => req.socket.destroy(), fault.duration || 120000);
+                res.on('close', () => clearTimeout(timer));
+                return;
+            }
+            case 'drop_connection':
+                return req.socket.destroy();
+            case 'malformed_json':
+                res.json = (body) => {
+                    const text = JSON.stringify(body);
+                    res.type('application/json').send(text.slice(0, Math.max(1, Math.floor(text.length / 2))));
+                    return res;
+                };
+                return next();
+            default:
+                // truncate_stream is carried out by the streaming writer
+                return next();
+        }
+    }
+}
+
+module.exports = FaultInjector;
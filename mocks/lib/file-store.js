@@ -0,0 +1,432 @@
+/**
+ * File Store
+ * Disk-backed emulation of the Files API: uploaded media is kept for 48 hours,
+ * videos pass through a short PROCESSING state, and file URIs resolve back to files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { paginate } = require('./pagination');
+const { HEX_ALPHABET, createId } = require('./ids');
+
+const FILE_TTL_MS = 48 * 60 * 60 * 1000;
+
+const VIDEO_PROCESSING_MS = 2000;
+
+// Resumable upload sessions that receive nothing for this long are discarded
+const UPLOAD_SESSION_TTL_MS = 60 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 10;
+
+const MAX_PAGE_SIZE = 100;
+
+const MAX_FILE_BYTES = 2 * 1024 * 1024 * 1024;
+
+// Leading bytes used to infer a MIME type when the client does not send one
+const MAGIC_NUMBERS = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+    { mimeType: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] }
+];
+
+class FileStore {
+    constructor(options = {}) {
+        this.dir = options.dir || fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-mock-files-'));
+        this.zeroLatency = Boolean(options.zeroLatency);
+        this.uploads = new Map();
+
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    /**
+     * Stores a complete upload and returns its metadata
+     * @param {object} upload - { displayName, mimeType, data }
+     * @param {function(): number} [random] - The request's generator, for a seeded id
+     * @throws {Error} When the file is empty, too large or of unknown type
+     */
+    create({ displayName, mimeType, data }, random) {
+        const partPath = this.partPath(crypto.randomBytes(16).toString('hex'));
+
+        fs.writeFileSync(partPath, data || Buffer.alloc(0));
+        return this.store(partPath, { displayName, mimeType }, random);
+    }
+
+    /**
+     * Streams an upload to disk, then stores it
+     * @param {stream.Readable} source - The upload's bytes, usually the request itself
+     * @param {object} upload - { displayName, mimeType }
+     * @param {function(): number} [random] - The request's generator, for a seeded id
+     * @returns {Promise<object>} File metadata
+     */
+    async createFromStream(source, { displayName, mimeType }, random) {
+        const partPath = this.partPath(crypto.randomBytes(16).toString('hex'));
+
+        try {
+            await this.receive(source, partPath, MAX_FILE_BYTES);
+        } catch (error) {
+            fs.rmSync(partPath, { force: true });
+            throw error;
+        }
+
+        return this.store(partPath, { displayName, mimeType }, random);
+    }
+
+    /**
+     * Appends a stream to a file, failing once more than limit bytes arrive. The source
+     * is left open on failure, so a request can still be answered
+     * @returns {Promise<number>} Bytes written
+     */
+    async receive(source, filePath, limit) {
+        let received = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                callback(received > limit ? new Error(`File size exceeds the maximum of ${MAX_FILE_BYTES} bytes`) : null, chunk);
+            }
+        });
+
+        source.once('error', error => counter.destroy(error));
+        source.once('close', () => source.readableEnded || counter.destroy(new Error('Upload was interrupted before it finished')));
+        source.pipe(counter);
+
+        await pipeline(counter, fs.createWriteStream(filePath, { flags: 'a' }));
+        return received;
+    }
+
+    /**
+     * Moves a fully received upload into the store. The partial file is removed on failure
+     */
+    store(partPath, { displayName, mimeType }, random) {
+        try {
+            const { size } = fs.statSync(partPath);
+
+            if (size === 0) {
+                throw new Error('Upload has no content');
+            }
+
+            if (size > MAX_FILE_BYTES) {
+                throw new Error(`File size ${size} exceeds the maximum of ${MAX_FILE_BYTES} bytes`);
+            }
+
+            const { head, sha256Hash } = this.inspect(partPath);
+            const resolvedType = this.resolveMimeType(mimeType, head);
+            if (!resolvedType) {
+                throw new Error('Unable to determine the MIME type of the upload. Set it in the file metadata or the Content-Type header');
+            }
+
+            const id = createId(id => fs.existsSync(this.metadataPath(id)), random);
+            const now = Date.now();
+            const file = {
+                id,
+                displayName,
+                mimeType: resolvedType,
+                sizeBytes: size,
+                sha256Hash,
+                createTime: now,
+                expirationTime: now + FILE_TTL_MS,
+                readyAt: resolvedType.startsWith('video/') && !this.zeroLatency ? now + VIDEO_PROCESSING_MS : now
+            };
+
+            fs.renameSync(partPath, this.dataPath(id));
+            fs.writeFileSync(this.metadataPath(id), JSON.stringify(file, null, 2));
+
+            return file;
+        } catch (error) {
+            fs.rmSync(partPath, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Reads a file in chunks to hash it without loading it into memory
+     */
+    inspect(filePath) {
+        const hash = crypto.createHash('sha256');
+        const buffer = Buffer.alloc(8 * 1024 * 1024);
+        const fd = fs.openSync(filePath, 'r');
+        let head = null;
+
+        try {
+            let bytesRead;
+            while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+                head = head || Buffer.from(buffer.subarray(0, Math.min(bytesRead, 16)));
+                hash.update(buffer.subarray(0, bytesRead));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        return { head, sha256Hash: hash.digest('base64') };
+    }
+
+    /**
+     * Starts a resumable upload session
+     * @returns {string} Upload id
+     */
+    startUpload({ displayName, mimeType, size }, random) {
+        const uploadId = createId(id => this.uploads.has(id), random, { alphabet: HEX_ALPHABET, length: 32 });
+
+        this.expireUploads();
+        this.uploads.set(uploadId, {
+            displayName,
+            mimeType,
+            size: size === undefined ? undefined : Number(size),
+            received: 0,
+            updatedAt: Date.now()
+        });
+        fs.writeFileSync(this.partPath(uploadId), Buffer.alloc(0));
+
+        return uploadId;
+    }
+
+    /**
+     * @returns {object|null} The session, or null when it does not exist or has expired
+     */
+    getUpload(uploadId) {
+        this.expireUploads();
+        return this.uploads.get(uploadId) || null;
+    }
+
+    /**
+     * Discards sessions that have been idle too long, with their partial files
+     */
+    expireUploads(now = Date.now()) {
+        for (const [uploadId, upload] of this.uploads) {
+            if (!upload.receiving && now - upload.updatedAt >= UPLOAD_SESSION_TTL_MS) {
+                this.cancelUpload(uploadId);
+            }
+        }
+    }
+
+    /**
+     * Streams a chunk onto a resumable upload. Chunks must arrive in order, one at a time
+     * @param {stream.Readable} source - The chunk's bytes, usually the request itself
+     * @returns {Promise<void>} Rejects when the offset does not match the bytes received so
+     *   far, or the chunk fails part way, in which case none of it is kept
+     */
+    async appendUpload(uploadId, offset, source) {
+        const upload = this.uploads.get(uploadId);
+
+        if (upload.receiving) {
+            throw new Error('Another chunk of this upload is still being received');
+        }
+
+        if (Number(offset) !== upload.received) {
+            throw new Error(`Upload offset ${offset} does not match the ${upload.received} bytes received so far`);
+        }
+
+        upload.receiving = true;
+
+        try {
+            upload.received += await this.receive(source, this.partPath(uploadId), MAX_FILE_BYTES - upload.received);
+        } catch (error) {
+            if (this.uploads.has(uploadId)) {
+                fs.truncateSync(this.partPath(uploadId), upload.received);
+            }
+            throw error;
+        } finally {
+            upload.receiving = false;
+            upload.updatedAt = Date.now();
+        }
+    }
+
+    finalizeUpload(uploadId, random) {
+        const upload = this.uploads.get(uploadId);
+
+        if (upload.receiving) {
+            throw new Error('Upload cannot be finalized while a chunk is still being received');
+        }
+
+        if (upload.size !== undefined && upload.received !== upload.size) {
+            throw new Error(`Upload is incomplete: received ${upload.received} of ${upload.size} bytes`);
+        }
+
+        this.uploads.delete(uploadId);
+        return this.store(this.partPath(uploadId), upload, random);
+    }
+
+    cancelUpload(uploadId) {
+        this.uploads.delete(uploadId);
+        fs.rmSync(this.partPath(uploadId), { force: true });
+    }
+
+    /**
+     * @returns {object|null} File metadata, or null when missing or expired
+     */
+    get(id) {
+        if (!/^[a-z0-9-]+$/.test(id) || !fs.existsSync(this.metadataPath(id))) {
+            return null;
+        }
+
+        const file = JSON.parse(fs.readFileSync(this.metadataPath(id), 'utf8'));
+
+        if (file.expirationTime <= Date.now()) {
+            this.delete(id);
+            return null;
+        }
+
+        return file;
+    }
+
+    /**
+     * Lists unexpired files, newest first
+     * @throws {Error} When pageSize or pageToken is invalid
+     */
+    list(pageSize, pageToken) {
+        const files = fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.get(path.basename(name, '.json')))
+            .filter(Boolean)
+            .sort((a, b) => b.createTime - a.createTime || a.id.localeCompare(b.id));
+
+        const { items, nextPageToken } = paginate(files, pageSize, pageToken, {
+            defaultSize: DEFAULT_PAGE_SIZE,
+            maxSize: MAX_PAGE_SIZE
+        });
+
+        return { files: items, ...(nextPageToken && { nextPageToken }) };
+    }
+
+    /**
+     * @returns {boolean} Whether a file was removed
+     */
+    delete(id) {
+        if (!/^[a-z0-9-]+$/.test(id) || !fs.existsSync(this.metadataPath(id))) {
+            return false;
+        }
+
+        fs.rmSync(this.metadataPath(id), { force: true });
+        fs.rmSync(this.dataPath(id), { force: true });
+        return true;
+    }
+
+    getState(file) {
+        return Date.now() < file.readyAt ? 'PROCESSING' : 'ACTIVE';
+    }
+
+    /**
+     * Extracts the file id from a Files API URI or resource name
+     * @returns {string|null} Id, or null when the URI is not a Files API URI
+     */
+    parseUri(uri) {
+        const match = /(?:^|\/v1beta\/)files\/([a-z0-9-]+)$/.exec(uri || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Formats stored metadata as a File resource
+     * @param {object} file - Stored metadata
+     * @param {string} baseUrl - Scheme and host the request came in on
+     */
+    toResource(file, baseUrl) {
+        const resource = {
+            name: `files/${file.id}`,
+            mimeType: file.mimeType,
+            sizeBytes: String(file.sizeBytes),
+            createTime: new Date(file.createTime).toISOString(),
+            updateTime: new Date(Math.max(file.createTime, Math.min(file.readyAt, Date.now()))).toISOString(),
+            expirationTime: new Date(file.expirationTime).toISOString(),
+            sha256Hash: file.sha256Hash,
+            uri: `${baseUrl}/v1beta/files/${file.id}`,
+            state: this.getState(file),
+            source: 'UPLOADED'
+        };
+
+        if (file.displayName) {
+            resource.displayName = file.displayName;
+        }
+
+        return resource;
+    }
+
+    resolveMimeType(mimeType, data) {
+        const declared = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+        if (declared && declared !== 'application/octet-stream') {
+            return declared;
+        }
+
+        const magic = MAGIC_NUMBERS.find(entry => entry.bytes.every((byte, index) => data[index] === byte));
+        if (magic) {
+            return magic.mimeType;
+        }
+
+        // RIFF containers and ISO media are identified by the type at offset 8 and 4
+        if (data.toString('ascii', 0, 4) === 'RIFF') {
+            const format = data.toString('ascii', 8, 12);
+            return format === 'WEBP' ? 'image/webp' : format === 'WAVE' ? 'audio/wav' : null;
+        }
+
+        if (data.toString('ascii', 4, 8) === 'ftyp') {
+            return 'video/mp4';
+        }
+
+        return null;
+    }
+
+    metadataPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    dataPath(id) {
+        return path.join(this.dir, `${id}.bin`);
+    }
+
+    partPath(uploadId) {
+        return path.join(this.dir, `${uploadId}.part`);
+    }
+
+    /**
+     * Splits a multipart/related body into its JSON metadata and media parts
+     * @returns {{ metadata: object, mimeType: string, data: Buffer }}
+     * @throws {Error} When the body is not a metadata part followed by a media part
+     */
+    static parseMultipart(body, contentType) {
+        const boundary = /boundary="?([^";]+)"?/i.exec(contentType || '');
+
+        if (!boundary) {
+            throw new Error('Multipart upload is missing its boundary');
+        }
+
+        const delimiter = Buffer.from(`--${boundary[1]}`);
+        const parts = [];
+        let start = body.indexOf(delimiter);
+
+        while (start !== -1) {
+            const next = body.indexOf(delimiter, start + delimiter.length);
+            if (next === -1) {
+                break;
+            }
+
+            const part = body.subarray(start + delimiter.length, next);
+            const headerEnd = part.indexOf('\r\n\r\n');
+            if (headerEnd !== -1) {
+                const headers = part.subarray(0, headerEnd).toString();
+                // Drop the CRLF that precedes the next delimiter
+                const content = part.subarray(headerEnd + 4, part.length - 2);
+                const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+                parts.push({ mimeType: type ? type[1].trim() : undefined, content });
+            }
+
+            start = next;
+        }
+
+        if (parts.length !== 2) {
+            throw new Error(`Multipart upload must have a metadata part and a media part, got ${parts.length} parts`);
+        }
+
+        return {
+            metadata: JSON.parse(parts[0].content.toString() || '{}'),
+            mimeType: parts[1].mimeType,
+            data: parts[1].content
+        };
+    }
+}
+
+module.exports = FileStore;
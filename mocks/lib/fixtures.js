@@ -0,0 +1,147 @@
+/**
+ * Response Fixtures
+ * Loads declarative JSON rule files that decide what the mock returns for a request,
+ * matching on model, route, prompt, role, images and tools
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+const DEFAULT_RULES_FILE = 'default.json';
+
+class FixtureSet {
+    constructor(options = {}) {
+        this.dir = options.dir || FIXTURES_DIR;
+        this.random = options.random || Math.random;
+        this.load();
+    }
+
+    /**
+     * Reads every rule file in the fixtures directory. Rules from default.json are kept
+     * apart so they are only consulted after custom rules and function calling
+     */
+    load() {
+        const files = fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .sort();
+
+        const defaultsPath = files.includes(DEFAULT_RULES_FILE) ?
+            path.join(this.dir, DEFAULT_RULES_FILE) :
+            path.join(FIXTURES_DIR, DEFAULT_RULES_FILE);
+
+        this.customRules = files
+            .filter(file => file !== DEFAULT_RULES_FILE)
+            .flatMap(file => this.readRules(path.join(this.dir, file)));
+        this.defaultRules = this.readRules(defaultsPath);
+    }
+
+    readRules(filePath) {
+        const { rules = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        return rules.map((rule, index) => {
+            const match = rule.match || {};
+
+            return {
+                ...rule,
+                name: rule.name || `${path.basename(filePath, '.json')}#${index}`,
+                source: path.basename(filePath),
+                promptPattern: match.prompt ? new RegExp(match.prompt, match.promptFlags || 'i') : null
+            };
+        });
+    }
+
+    getSummary() {
+        return {
+            dir: this.dir,
+            custom: this.customRules.map(rule => ({ name: rule.name, source: rule.source })),
+            defaults: this.defaultRules.map(rule => ({ name: rule.name, source: rule.source }))
+        };
+    }
+
+    /**
+     * Returns the first matching rule with its response templated for the request
+     * @param {object} context - { model, route, prompt, role, hasImage, hasTools }
+     * @param {boolean} useDefaults - Search the default rule set instead of custom rules
+     * @param {function} random - Generator used to pick among alternative texts
+     */
+    match(context, useDefaults = false, random = this.random) {
+        const rules = useDefaults ? this.defaultRules : this.customRules;
+        const rule = rules.find(candidate => this.matches(candidate, context));
+
+        if (!rule) {
+            return null;
+        }
+
+        return {
+            name: rule.name,
+            response: this.render(rule.response || {}, context, random)
+        };
+    }
+
+    matches(rule, context) {
+        const match = rule.match || {};
+
+        if (match.model && !this.globMatch(match.model, context.model)) {
+            return false;
+        }
+        if (match.route && !this.globMatch(match.route, context.route)) {
+            return false;
+        }
+        if (match.role && match.role !== context.role) {
+            return false;
+        }
+        if (match.hasImage !== undefined && match.hasImage !== context.hasImage) {
+            return false;
+        }
+        if (match.hasTools !== undefined && match.hasTools !== context.hasTools) {
+            return false;
+        }
+
+        return !rule.promptPattern || rule.promptPattern.test(context.prompt);
+    }
+
+    globMatch(pattern, value) {
+        const patterns = Array.isArray(pattern) ? pattern : [pattern];
+        return patterns.some(entry =>
+            new RegExp(`^${entry.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(value || '')
+        );
+    }
+
+    render(response, context, random = this.random) {
+        const rendered = { ...response };
+
+        // A list of texts means "pick one"
+        if (Array.isArray(rendered.text)) {
+            rendered.text = rendered.text[Math.floor(random() * rendered.text.length)];
+        }
+
+        return this.applyTemplate(rendered, context);
+    }
+
+    applyTemplate(value, context) {
+        if (typeof value === 'string') {
+            const excerpt = context.prompt.length > 50 ? `${context.prompt.substring(0, 50)}...` : context.prompt;
+            const variables = { ...context, promptExcerpt: excerpt };
+
+            return value.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+                variables[name] !== undefined ? String(variables[name]) : placeholder
+            );
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.applyTemplate(item, context));
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, nested]) => [key, this.applyTemplate(nested, context)])
+            );
+        }
+
+        return value;
+    }
+}
+
+module.exports = FixtureSet;
@@ -0,0 +1,204 @@
+/**
+ * Function Calling Simulation
+ * Decides which declared functions the mock "model" calls, synthesizes arguments
+ * from each declaration's parameter schema and answers follow-up functionResponse turns
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'get', 'in', 'is', 'it',
+    'like', 'me', 'of', 'on', 'or', 'set', 'the', 'to', 'what', 'whats', 'with', 'you', 'your'
+]);
+
+function getFunctionDeclarations(tools = []) {
+    return tools.flatMap(tool => tool.functionDeclarations || tool.function_declarations || []);
+}
+
+function getFunctionCallingConfig(toolConfig = {}) {
+    const config = toolConfig.functionCallingConfig || toolConfig.function_calling_config || {};
+
+    return {
+        mode: (config.mode || 'AUTO').toUpperCase(),
+        allowedFunctionNames: config.allowedFunctionNames || config.allowed_function_names || null
+    };
+}
+
+function keywords(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+function scoreDeclaration(declaration, promptWords) {
+    const declarationWords = new Set([
+        ...keywords(declaration.name.replace(/[_-]/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2')),
+        ...keywords(declaration.description || '')
+    ]);
+
+    return promptWords.filter(word =>
+        declarationWords.has(word) || declarationWords.has(word.replace(/s$/, ''))
+    ).length;
+}
+
+/**
+ * Returns the functionCall objects the mock should emit for a prompt, or an empty array
+ * when it should answer with text instead
+ * @param {number} [now] - Time that date and date-time arguments are filled in with
+ */
+function planFunctionCalls(tools, toolConfig, userText, now = Date.now()) {
+    const { mode, allowedFunctionNames } = getFunctionCallingConfig(toolConfig);
+    let declarations = getFunctionDeclarations(tools);
+
+    if (mode === 'NONE' || declarations.length === 0) {
+        return [];
+    }
+
+    if (allowedFunctionNames) {
+        declarations = declarations.filter(declaration => allowedFunctionNames.includes(declaration.name));
+    }
+
+    const promptWords = keywords(userText);
+    const scored = declarations
+        .map(declaration => ({ declaration, score: scoreDeclaration(declaration, promptWords) }))
+        .filter(entry => entry.score > 0);
+
+    let selected = scored.map(entry => entry.declaration);
+
+    // ANY forces a call even when nothing in the prompt matches
+    if (mode === 'ANY' && selected.length === 0 && declarations.length > 0) {
+        selected = [declarations[0]];
+    }
+
+    return selected.map(declaration => ({
+        name: declaration.name,
+        args: synthesizeValue(declaration.parameters || { type: 'object', properties: {} }, userText, declaration.name, now)
+    }));
+}
+
+function extractPlace(text) {
+    const match = text.match(/\b(?:in|at|for|near|to|from)\s+((?:[A-Z][\w.'-]*)(?:,?\s+[A-Z][\w.'-]*)*)/);
+    return match ? match[1].replace(/[?.!]+$/, '') : null;
+}
+
+function extractQuoted(text) {
+    const match = text.match(/["'“]([^"'”]+)["'”]/);
+    return match ? match[1] : null;
+}
+
+function synthesizeString(schema, text, name, now) {
+    const lowerText = text.toLowerCase();
+
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum.find(value => lowerText.includes(String(value).toLowerCase())) || schema.enum[0];
+    }
+
+    if (schema.format === 'date-time') {
+        return new Date(now).toISOString();
+    }
+
+    if (schema.format === 'date') {
+        return new Date(now).toISOString().split('T')[0];
+    }
+
+    const key = name.toLowerCase();
+
+    if (/(location|city|place|address|destination|origin|country|region)/.test(key)) {
+        return extractPlace(text) || 'Mountain View, CA';
+    }
+
+    if (/email/.test(key)) {
+        return (text.match(/[\w.+-]+@[\w-]+\.[\w.]+/) || ['user@example.com'])[0];
+    }
+
+    if (/(query|search|text|message|prompt|topic|question)/.test(key)) {
+        return extractQuoted(text) || text.trim();
+    }
+
+    return extractQuoted(text) || extractPlace(text) || `sample_${name}`;
+}
+
+function synthesizeNumber(schema, text, isInteger) {
+    const match = text.match(/-?\d+(?:\.\d+)?/);
+    let value = match ? Number(match[0]) : (schema.minimum !== undefined ? schema.minimum : 1);
+
+    if (schema.maximum !== undefined) {
+        value = Math.min(value, schema.maximum);
+    }
+    if (schema.minimum !== undefined) {
+        value = Math.max(value, schema.minimum);
+    }
+
+    return isInteger ? Math.round(value) : value;
+}
+
+/**
+ * Builds a value matching an OpenAPI-subset schema, preferring values found in the prompt
+ */
+function synthesizeValue(schema, text, name = 'value', now = Date.now()) {
+    // Malformed schemas are rejected by the request validator; anything else reads as a string
+    const safeSchema = schema !== null && typeof schema === 'object' ? schema : {};
+    const type = String(safeSchema.type || 'string').toLowerCase();
+
+    switch (type) {
+        case 'object': {
+            const properties = safeSchema.properties || {};
+            const required = Array.isArray(safeSchema.required) ? safeSchema.required : [];
+            const lowerText = text.toLowerCase();
+            const result = {};
+
+            for (const [propertyName, propertySchema] of Object.entries(properties)) {
+                const enumValues = Array.isArray(propertySchema?.enum) ? propertySchema.enum : [];
+                const mentioned = lowerText.includes(propertyName.toLowerCase()) ||
+                    enumValues.some(value => lowerText.includes(String(value).toLowerCase()));
+
+                if (required.includes(propertyName) || mentioned) {
+                    result[propertyName] = synthesizeValue(propertySchema, text, propertyName, now);
+                }
+            }
+
+            return result;
+        }
+        case 'array':
+            return [synthesizeValue(safeSchema.items || { type: 'string' }, text, name, now)];
+        case 'integer':
+            return synthesizeNumber(safeSchema, text, true);
+        case 'number':
+            return synthesizeNumber(safeSchema, text, false);
+        case 'boolean':
+            return !/\b(no|not|false|disable|without)\b/i.test(text);
+        default:
+            return synthesizeString(safeSchema, text, name, now);
+    }
+}
+
+function describeValue(value) {
+    if (value === null || typeof value !== 'object') {
+        return String(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(describeValue).join(', ');
+    }
+
+    return Object.entries(value)
+        .map(([key, nested]) => `${key.replace(/_/g, ' ')}: ${describeValue(nested)}`)
+        .join(', ');
+}
+
+/**
+ * Writes the model's text answer to a turn carrying functionResponse parts
+ */
+function describeFunctionResponses(functionResponses) {
+    const summaries = functionResponses.map(({ name, response }) => {
+        const data = response && response.content !== undefined ? response.content : response;
+        return `${name} returned ${describeValue(data || {})}`;
+    });
+
+    return `Based on the function results, ${summaries.join('; ')}. Let me know if you need anything else.`;
+}
+
+module.exports = {
+    getFunctionDeclarations,
+    getFunctionCallingConfig,
+    planFunctionCalls,
+    synthesizeValue,
+    describeFunctionResponses
+};
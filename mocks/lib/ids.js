@@ -0,0 +1,39 @@
+/**
+ * Resource IDs
+ * Random lowercase base36 ids, the form the API gives files, cached contents and batches.
+ * Ids are drawn from a request's seeded generator when there is one, so seeded runs
+ * hand out the same ids every time
+ */
+
+const crypto = require('crypto');
+const { isSeeded } = require('./random');
+
+const ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const HEX_ALPHABET = '0123456789abcdef';
+
+const ID_LENGTH = 12;
+
+/**
+ * Returns a new id
+ * @param {function(string): boolean} isTaken - Whether an id is already in use
+ * @param {function(): number} [random] - Seeded generator; crypto random bytes otherwise
+ * @param {object} [format] - { alphabet, length }, base36 and 12 characters by default
+ */
+function createId(isTaken, random, { alphabet = ID_ALPHABET, length = ID_LENGTH } = {}) {
+    const draw = () => isSeeded(random) ?
+        Array.from({ length }, () => Math.floor(random() * 256)) :
+        crypto.randomBytes(length);
+    let id;
+
+    do {
+        id = Array.from(draw(), byte => alphabet[byte % alphabet.length]).join('');
+    } while (isTaken(id));
+
+    return id;
+}
+
+module.exports = {
+    HEX_ALPHABET,
+    createId
+};
@@ -0,0 +1,900 @@
+/**
+ * Image Decoder
+ * Reads the format and dimensions of PNG, JPEG, WebP, GIF and HEIC images from their
+ * headers, and samples the pixels of PNG, GIF and JPEG images for colour statistics. Only
+ * what the mock needs is decoded: JPEG colours come from the average of each 8x8 block,
+ * and interlaced PNGs are sampled from their first pass
+ */
+
+const zlib = require('zlib');
+
+// Colours are counted in 4-bit-per-channel bins: (r >> 4) << 8 | (g >> 4) << 4 | b >> 4
+const BIN_COUNT = 4096;
+
+// Larger PNGs are not inflated for sampling
+const MAX_DECODED_BYTES = 64 * 1024 * 1024;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Allowed bit depths and channel counts per PNG colour type
+const PNG_BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Start-of-frame markers; DHT (C4), JPG (C8) and DAC (CC) share the range
+const JPEG_FRAME_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// Huffman-coded baseline, extended and progressive frames can be sampled
+const JPEG_SAMPLED_MARKERS = new Set([0xc0, 0xc1, 0xc2]);
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+function toBin(r, g, b) {
+    return (r >> 4) << 8 | (g >> 4) << 4 | b >> 4;
+}
+
+function clampByte(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+/**
+ * Identifies an image from its bytes
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{ mimeType: string, width: number, height: number, sampleColours: function }|null}
+ *   Null when the data is not a well-formed image of a supported format. sampleColours()
+ *   returns a Uint32Array of pixel counts per colour bin, or null when the format's pixels
+ *   cannot be sampled; it throws when the pixel data is corrupt
+ */
+function readImage(buffer) {
+    if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return readPng(buffer);
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return readJpeg(buffer);
+    }
+    if (/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+        return readGif(buffer);
+    }
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return readWebp(buffer);
+    }
+    if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+        return readHeif(buffer);
+    }
+
+    return null;
+}
+
+// PNG
+
+function readPng(buffer) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    // Every chunk must fit in the data, up to IEND
+    while (chunks[chunks.length - 1]?.type !== 'IEND') {
+        if (offset + 12 > buffer.length) {
+            return null;
+        }
+
+        const length = buffer.readUInt32BE(offset);
+        const end = offset + 12 + length;
+        if (end > buffer.length) {
+            return null;
+        }
+
+        chunks.push({ type: buffer.toString('latin1', offset + 4, offset + 8), data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset = end;
+    }
+
+    const header = chunks[0];
+    if (header.type !== 'IHDR' || header.data.length !== 13) {
+        return null;
+    }
+
+    const png = {
+        width: header.data.readUInt32BE(0),
+        height: header.data.readUInt32BE(4),
+        bitDepth: header.data[8],
+        colourType: header.data[9],
+        interlaced: header.data[12] === 1,
+        palette: chunks.find(chunk => chunk.type === 'PLTE')?.data,
+        chunks
+    };
+
+    if (!png.width || !png.height || !PNG_BIT_DEPTHS[png.colourType]?.includes(png.bitDepth) ||
+        !chunks.some(chunk => chunk.type === 'IDAT') || (png.colourType === 3 && !png.palette)) {
+        return null;
+    }
+
+    return { mimeType: 'image/png', width: png.width, height: png.height, sampleColours: () => samplePng(png) };
+}
+
+function samplePng({ width, height, bitDepth, colourType, interlaced, palette, chunks }) {
+    const channels = PNG_CHANNELS[colourType];
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    // Adam7's first pass holds every eighth pixel in both directions
+    const columns = interlaced ? Math.ceil(width / 8) : width;
+    const rows = interlaced ? Math.ceil(height / 8) : height;
+    const stride = Math.ceil(columns * bitsPerPixel / 8);
+
+    const data = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)), {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+        maxOutputLength: MAX_DECODED_BYTES
+    });
+
+    if (data.length < (stride + 1) * rows) {
+        throw new Error('PNG image data is truncated');
+    }
+
+    const bins = new Uint32Array(BIN_COUNT);
+    const pixel = [0, 0, 0, 255];
+    let previous = Buffer.alloc(stride);
+    let row = Buffer.alloc(stride);
+
+    for (let y = 0; y < rows; y++) {
+        const start = y * (stride + 1);
+        unfilterPngRow(data[start], data.subarray(start + 1, start + 1 + stride), previous, row, bytesPerPixel);
+
+        for (let x = 0; x < columns; x++) {
+            readPngPixel(row, x, bitDepth, colourType, palette, pixel);
+            if (pixel[3] > 0) {
+                bins[toBin(pixel[0], pixel[1], pixel[2])]++;
+            }
+        }
+
+        [previous, row] = [row, previous];
+    }
+
+    return bins;
+}
+
+function unfilterPngRow(filter, line, previous, out, bytesPerPixel) {
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= bytesPerPixel ? out[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+        switch (filter) {
+            case 0:
+                out[i] = line[i];
+                break;
+            case 1:
+                out[i] = line[i] + left;
+                break;
+            case 2:
+                out[i] = line[i] + up;
+                break;
+            case 3:
+                out[i] = line[i] + ((left + up) >> 1);
+                break;
+            case 4: {
+                const estimate = left + up - upLeft;
+                const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                out[i] = line[i] + (distances[0] <= distances[1] && distances[0] <= distances[2] ? left : distances[1] <= distances[2] ? up : upLeft);
+                break;
+            }
+            default:
+                throw new Error(`Unknown PNG filter type ${filter}`);
+        }
+    }
+}
+
+/**
+ * Reads one pixel of an unfiltered row as 8-bit RGBA. 16-bit samples keep their high byte
+ */
+function readPngPixel(row, x, bitDepth, colourType, palette, pixel) {
+    let grey;
+    let index;
+
+    if (bitDepth < 8) {
+        const perByte = 8 / bitDepth;
+        const value = (row[Math.floor(x / perByte)] >> (8 - bitDepth * (x % perByte + 1))) & ((1 << bitDepth) - 1);
+
+        if (colourType === 3) {
+            index = value;
+        } else {
+            grey = Math.round(value * 255 / ((1 << bitDepth) - 1));
+        }
+    }
+
+    const step = bitDepth >> 3;
+    const offset = x * PNG_CHANNELS[colourType] * step;
+    const sample = channel => row[offset + channel * step];
+
+    if (colourType === 3) {
+        index = index ?? row[offset];
+        pixel[0] = palette[index * 3] ?? 0;
+        pixel[1] = palette[index * 3 + 1] ?? 0;
+        pixel[2] = palette[index * 3 + 2] ?? 0;
+        pixel[3] = 255;
+    } else if (colourType === 0 || colourType === 4) {
+        grey = grey ?? sample(0);
+        pixel[0] = pixel[1] = pixel[2] = grey;
+        pixel[3] = colourType === 4 ? sample(1) : 255;
+    } else {
+        pixel[0] = sample(0);
+        pixel[1] = sample(1);
+        pixel[2] = sample(2);
+        pixel[3] = colourType === 6 ? sample(3) : 255;
+    }
+}
+
+// JPEG
+
+function readJpeg(buffer) {
+    const segments = [];
+    let frame = null;
+    let offset = 2;
+
+    // Walk the segments up to the first scan; the frame header must come before it
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            return null;
+        }
+
+        const marker = buffer[offset + 1];
+
+        // Fill bytes and markers without a length
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const end = offset + 2 + length;
+        if (length < 2 || end > buffer.length) {
+            return null;
+        }
+
+        const data = buffer.subarray(offset + 4, end);
+
+        if (JPEG_FRAME_MARKERS.has(marker)) {
+            if (frame || data.length < 6 || data.length < 6 + data[5] * 3) {
+                return null;
+            }
+
+            frame = {
+                marker,
+                precision: data[0],
+                height: data.readUInt16BE(1),
+                width: data.readUInt16BE(3),
+                components: Array.from({ length: data[5] }, (unused, index) => ({
+                    id: data[6 + index * 3],
+                    h: data[7 + index * 3] >> 4,
+                    v: data[7 + index * 3] & 15,
+                    quantTable: data[8 + index * 3]
+                }))
+            };
+        }
+
+        segments.push({ marker, data, end });
+
+        if (marker === 0xda) {
+            if (!frame || !frame.width || !frame.height || frame.components.some(component => !component.h || !component.v)) {
+                return null;
+            }
+
+            return {
+                mimeType: 'image/jpeg',
+                width: frame.width,
+                height: frame.height,
+                sampleColours: () => sampleJpeg(buffer, segments, frame)
+            };
+        }
+
+        offset = end;
+    }
+
+    return null;
+}
+
+function buildHuffmanTable(counts, values) {
+    const maxCode = new Int32Array(17).fill(-1);
+    const valueOffset = new Int32Array(17);
+    let code = 0;
+    let index = 0;
+
+    for (let length = 1; length <= 16; length++) {
+        valueOffset[length] = index - code;
+        code += counts[length - 1];
+        index += counts[length - 1];
+        maxCode[length] = counts[length - 1] ? code - 1 : -1;
+        code <<= 1;
+    }
+
+    return { maxCode, valueOffset, values };
+}
+
+/**
+ * Reads entropy-coded scan data bit by bit, removing stuffed zero bytes
+ */
+class JpegBitReader {
+    constructor(buffer, offset) {
+        this.buffer = buffer;
+        this.offset = offset;
+        this.bits = 0;
+        this.count = 0;
+    }
+
+    readBit() {
+        if (this.count === 0) {
+            if (this.offset >= this.buffer.length) {
+                throw new Error('JPEG scan data is truncated');
+            }
+
+            const byte = this.buffer[this.offset];
+            if (byte === 0xff) {
+                if (this.buffer[this.offset + 1] !== 0) {
+                    throw new Error('Unexpected marker in JPEG scan data');
+                }
+                this.offset++;
+            }
+
+            this.offset++;
+            this.bits = byte;
+            this.count = 8;
+        }
+
+        this.count--;
+        return (this.bits >> this.count) & 1;
+    }
+
+    readBits(length) {
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            value = (value << 1) | this.readBit();
+        }
+        return value;
+    }
+
+    decode(table) {
+        let code = 0;
+
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | this.readBit();
+            if (code <= table.maxCode[length]) {
+                return table.values[table.valueOffset[length] + code];
+            }
+        }
+
+        throw new Error('Invalid JPEG Huffman code');
+    }
+
+    /**
+     * Decodes a value of the given bit length, which holds negative numbers below its midpoint
+     */
+    receive(length) {
+        const value = this.readBits(length);
+        return length && value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    }
+
+    /**
+     * Skips to the data after the next restart marker
+     */
+    restart() {
+        this.count = 0;
+
+        while (this.offset + 1 < this.buffer.length &&
+            !(this.buffer[this.offset] === 0xff && this.buffer[this.offset + 1] >= 0xd0 && this.buffer[this.offset + 1] <= 0xd7)) {
+            this.offset++;
+        }
+
+        this.offset += 2;
+    }
+}
+
+function parseJpegTables(segments) {
+    const tables = { quant: {}, dc: {}, ac: {}, restartInterval: 0, adobeTransform: null, scan: null };
+
+    for (const { marker, data, end } of segments) {
+        if (marker === 0xdb) {
+            for (let position = 0; position < data.length;) {
+                const wide = data[position] >> 4;
+                tables.quant[data[position] & 15] = wide ? data.readUInt16BE(position + 1) : data[position + 1];
+                position += 1 + 64 * (wide ? 2 : 1);
+            }
+        } else if (marker === 0xc4) {
+            for (let position = 0; position < data.length;) {
+                const counts = data.subarray(position + 1, position + 17);
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const table = buildHuffmanTable(counts, data.subarray(position + 17, position + 17 + total));
+
+                (data[position] >> 4 ? tables.ac : tables.dc)[data[position] & 15] = table;
+                position += 17 + total;
+            }
+        } else if (marker === 0xdd) {
+            tables.restartInterval = data.readUInt16BE(0);
+        } else if (marker === 0xee && data.toString('latin1', 0, 5) === 'Adobe') {
+            tables.adobeTransform = data[11];
+        } else if (marker === 0xda) {
+            const count = data[0];
+            tables.scan = {
+                start: end,
+                components: Array.from({ length: count }, (unused, index) => ({
+                    id: data[1 + index * 2],
+                    dcTable: data[2 + index * 2] >> 4,
+                    acTable: data[2 + index * 2] & 15
+                })),
+                spectralStart: data[1 + count * 2],
+                spectralEnd: data[2 + count * 2],
+                approximationHigh: data[3 + count * 2] >> 4,
+                approximationLow: data[3 + count * 2] & 15
+            };
+        }
+    }
+
+    return tables;
+}
+
+/**
+ * Samples the first scan's DC coefficients, which give each 8x8 block's average. The scan
+ * must carry every component: a baseline scan, or a progressive image's first DC scan
+ */
+function sampleJpeg(buffer, segments, frame) {
+    const { quant, dc, ac, restartInterval, adobeTransform, scan } = parseJpegTables(segments);
+    const progressive = frame.marker === 0xc2;
+
+    if (!JPEG_SAMPLED_MARKERS.has(frame.marker) || frame.precision !== 8 || ![1, 3].includes(frame.components.length) ||
+        scan.components.length !== frame.components.length || scan.spectralStart !== 0 ||
+        (progressive && (scan.spectralEnd !== 0 || scan.approximationHigh !== 0))) {
+        return null;
+    }
+
+    const single = frame.components.length === 1;
+    const maxH = single ? 1 : Math.max(...frame.components.map(component => component.h));
+    const maxV = single ? 1 : Math.max(...frame.components.map(component => component.v));
+    const mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+    const mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+
+    const components = scan.components.map(({ id, dcTable, acTable }) => {
+        const component = frame.components.find(candidate => candidate.id === id);
+        const h = single ? 1 : component?.h;
+        const v = single ? 1 : component?.v;
+
+        if (!component || !dc[dcTable] || (!progressive && !ac[acTable]) || quant[component.quantTable] === undefined) {
+            throw new Error('JPEG scan references a missing component or table');
+        }
+
+        return {
+            h,
+            v,
+            dcTable: dc[dcTable],
+            acTable: ac[acTable],
+            scale: (quant[component.quantTable] << scan.approximationLow) / 8,
+            blocksPerLine: mcusPerLine * h,
+            averages: new Float32Array(mcusPerLine * h * mcusPerColumn * v),
+            prediction: 0
+        };
+    });
+
+    const reader = new JpegBitReader(buffer, scan.start);
+
+    for (let mcu = 0; mcu < mcusPerLine * mcusPerColumn; mcu++) {
+        if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+            reader.restart();
+            components.forEach(component => { component.prediction = 0; });
+        }
+
+        const mcuX = mcu % mcusPerLine;
+        const mcuY = Math.floor(mcu / mcusPerLine);
+
+        for (const component of components) {
+            for (let v = 0; v < component.v; v++) {
+                for (let h = 0; h < component.h; h++) {
+                    component.prediction += reader.receive(reader.decode(component.dcTable));
+
+                    // Baseline blocks carry their AC coefficients too; only their length matters
+                    for (let k = 1; !progressive && k < 64; k++) {
+                        const symbol = reader.decode(component.acTable);
+                        if (symbol === 0) {
+                            break;
+                        }
+                        k += symbol >> 4;
+                        reader.readBits(symbol & 15);
+                    }
+
+                    const row = mcuY * component.v + v;
+                    const column = mcuX * component.h + h;
+                    component.averages[row * component.blocksPerLine + column] = component.prediction * component.scale + 128;
+                }
+            }
+        }
+    }
+
+    const bins = new Uint32Array(BIN_COUNT);
+    const [luma, blue, red] = components;
+    const rgb = adobeTransform === 0 || frame.components.map(component => component.id).join() === '82,71,66';
+
+    for (let y = 0; y < Math.ceil(frame.height / 8); y++) {
+        for (let x = 0; x < Math.ceil(frame.width / 8); x++) {
+            const value = luma.averages[y * luma.blocksPerLine + x];
+
+            if (single) {
+                bins[toBin(clampByte(value), clampByte(value), clampByte(value))]++;
+                continue;
+            }
+
+            const chroma = component => component.averages[
+                Math.floor(y * component.v / luma.v) * component.blocksPerLine + Math.floor(x * component.h / luma.h)];
+            const cb = chroma(blue);
+            const cr = chroma(red);
+
+            bins[rgb ?
+                toBin(clampByte(value), clampByte(cb), clampByte(cr)) :
+                toBin(
+                    clampByte(value + 1.402 * (cr - 128)),
+                    clampByte(value - 0.344136 * (cb - 128) - 0.714136 * (cr - 128)),
+                    clampByte(value + 1.772 * (cb - 128))
+                )]++;
+        }
+    }
+
+    return bins;
+}
+
+// GIF
+
+function readGif(buffer) {
+    if (buffer.length < 13) {
+        return null;
+    }
+
+    const width = buffer.readUInt16LE(6);
+    const height = buffer.readUInt16LE(8);
+    const image = findGifImage(buffer);
+
+    if (!width || !height || !image) {
+        return null;
+    }
+
+    return { mimeType: 'image/gif', width, height, sampleColours: () => sampleGif(image) };
+}
+
+/**
+ * @returns {number} Offset after a chain of data sub-blocks, or -1 when it runs past the end
+ */
+function skipGifSubBlocks(buffer, offset) {
+    while (offset < buffer.length) {
+        if (buffer[offset] === 0) {
+            return offset + 1;
+        }
+        offset += buffer[offset] + 1;
+    }
+
+    return -1;
+}
+
+/**
+ * Locates the first frame's palette and compressed pixels
+ */
+function findGifImage(buffer) {
+    const flags = buffer[10];
+    let offset = 13 + (flags & 0x80 ? 3 << ((flags & 7) + 1) : 0);
+    const globalPalette = flags & 0x80 ? buffer.subarray(13, offset) : null;
+    let transparentIndex = -1;
+
+    while (offset < buffer.length) {
+        const introducer = buffer[offset];
+
+        if (introducer === 0x21) {
+            // Graphic control extensions name the frame's transparent colour
+            if (buffer[offset + 1] === 0xf9 && buffer[offset + 2] === 4 && buffer[offset + 3] & 1) {
+                transparentIndex = buffer[offset + 6];
+            }
+
+            offset = skipGifSubBlocks(buffer, offset + 2);
+            if (offset === -1) {
+                return null;
+            }
+        } else if (introducer === 0x2c) {
+            const imageFlags = buffer[offset + 9];
+            let dataOffset = offset + 10;
+            let palette = globalPalette;
+
+            if (imageFlags & 0x80) {
+                palette = buffer.subarray(dataOffset, dataOffset + (3 << ((imageFlags & 7) + 1)));
+                dataOffset += palette.length;
+            }
+
+            const minCodeSize = buffer[dataOffset];
+            const end = skipGifSubBlocks(buffer, dataOffset + 1);
+            if (end === -1 || !(minCodeSize >= 2 && minCodeSize <= 8)) {
+                return null;
+            }
+
+            const blocks = [];
+            for (let position = dataOffset + 1; buffer[position] !== 0; position += buffer[position] + 1) {
+                blocks.push(buffer.subarray(position + 1, position + 1 + buffer[position]));
+            }
+
+            return {
+                palette,
+                transparentIndex,
+                minCodeSize,
+                pixelCount: buffer.readUInt16LE(offset + 5) * buffer.readUInt16LE(offset + 7),
+                data: Buffer.concat(blocks)
+            };
+        } else {
+            return null;
+        }
+    }
+
+    return null;
+}
+
+function sampleGif({ palette, transparentIndex, minCodeSize, pixelCount, data }) {
+    if (!palette) {
+        return null;
+    }
+
+    const indexCounts = decodeGifIndexCounts(data, minCodeSize, pixelCount);
+    const bins = new Uint32Array(BIN_COUNT);
+
+    indexCounts.forEach((count, index) => {
+        if (count > 0 && index !== transparentIndex && index * 3 + 2 < palette.length) {
+            bins[toBin(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2])] += count;
+        }
+    });
+
+    return bins;
+}
+
+/**
+ * LZW-decodes a frame, counting how often each colour index occurs. Pixel order does not
+ * matter for counting, so strings are never reversed
+ */
+function decodeGifIndexCounts(data, minCodeSize, pixelCount) {
+    const counts = new Uint32Array(256);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let first = 0;
+    let bits = 0;
+    let bitCount = 0;
+    let remaining = pixelCount;
+
+    for (let position = 0; remaining > 0;) {
+        while (bitCount < codeSize && position < data.length) {
+            bits |= data[position++] << bitCount;
+            bitCount += 8;
+        }
+        if (bitCount < codeSize) {
+            break;
+        }
+
+        const code = bits & ((1 << codeSize) - 1);
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+            previous = -1;
+            continue;
+        }
+        if (code === endCode) {
+            break;
+        }
+
+        if (previous === -1) {
+            if (code > clearCode) {
+                throw new Error('Invalid GIF code');
+            }
+            counts[code]++;
+            remaining--;
+            previous = first = code;
+            continue;
+        }
+
+        if (code > nextCode) {
+            throw new Error('Invalid GIF code');
+        }
+
+        let top = 0;
+        let current = code;
+
+        // A code not yet in the table stands for the previous string plus its first index
+        if (code === nextCode) {
+            stack[top++] = first;
+            current = previous;
+        }
+        while (current > endCode) {
+            stack[top++] = suffix[current];
+            current = prefix[current];
+        }
+        stack[top++] = first = current;
+
+        for (let i = 0; i < top && remaining > 0; i++, remaining--) {
+            counts[stack[i]]++;
+        }
+
+        if (nextCode < 4096) {
+            prefix[nextCode] = previous;
+            suffix[nextCode] = first;
+            nextCode++;
+            if (nextCode === 1 << codeSize && codeSize < 12) {
+                codeSize++;
+            }
+        }
+
+        previous = code;
+    }
+
+    return counts;
+}
+
+// WebP
+
+function readWebp(buffer) {
+    if (buffer.length < 30 || buffer.readUInt32LE(4) + 8 > buffer.length) {
+        return null;
+    }
+
+    const chunk = buffer.toString('latin1', 12, 16);
+    let width;
+    let height;
+
+    if (chunk === 'VP8 ') {
+        if (buffer[23] !== 0x9d || buffer[24] !== 0x01 || buffer[25] !== 0x2a) {
+            return null;
+        }
+        width = buffer.readUInt16LE(26) & 0x3fff;
+        height = buffer.readUInt16LE(28) & 0x3fff;
+    } else if (chunk === 'VP8L') {
+        if (buffer[20] !== 0x2f) {
+            return null;
+        }
+        const bits = buffer.readUInt32LE(21);
+        width = (bits & 0x3fff) + 1;
+        height = ((bits >> 14) & 0x3fff) + 1;
+    } else if (chunk === 'VP8X') {
+        width = buffer.readUIntLE(24, 3) + 1;
+        height = buffer.readUIntLE(27, 3) + 1;
+    } else {
+        return null;
+    }
+
+    if (!width || !height) {
+        return null;
+    }
+
+    return { mimeType: 'image/webp', width, height, sampleColours: () => null };
+}
+
+// HEIC
+
+/**
+ * Lists the ISO base media boxes between two offsets
+ * @returns {Array<{ type: string, start: number, end: number }>|null} start is where the
+ *   box's content begins. Null when a box runs past the end
+ */
+function readBoxes(buffer, start, end) {
+    const boxes = [];
+
+    for (let offset = start; offset + 8 <= end;) {
+        let size = buffer.readUInt32BE(offset);
+        let header = 8;
+
+        if (size === 1) {
+            if (offset + 16 > end) {
+                return null;
+            }
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+
+        if (size < header || offset + size > end) {
+            return null;
+        }
+
+        boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset + header, end: offset + size });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+function readHeif(buffer) {
+    const boxes = readBoxes(buffer, 0, buffer.length);
+    const fileType = boxes?.[0];
+
+    if (!fileType || fileType.type !== 'ftyp' || fileType.end - fileType.start < 8) {
+        return null;
+    }
+
+    const brands = [buffer.toString('latin1', fileType.start, fileType.start + 4)];
+    for (let offset = fileType.start + 8; offset + 4 <= fileType.end; offset += 4) {
+        brands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+
+    const mimeType = brands.some(brand => HEIC_BRANDS.includes(brand)) ? 'image/heic' :
+        brands.some(brand => HEIF_BRANDS.includes(brand)) && !brands.includes('avif') ? 'image/heif' : null;
+    const meta = boxes.find(box => box.type === 'meta');
+    const size = mimeType && meta && readHeifPrimarySize(buffer, meta);
+
+    if (!size) {
+        return null;
+    }
+
+    return { mimeType, ...size, sampleColours: () => null };
+}
+
+/**
+ * Finds the primary item's ispe (image spatial extents) property, swapping the sides when
+ * an irot property turns the image a quarter
+ */
+function readHeifPrimarySize(buffer, meta) {
+    // meta is a full box: version and flags come first
+    const children = readBoxes(buffer, meta.start + 4, meta.end) || [];
+    const primary = children.find(box => box.type === 'pitm');
+    const propertiesBox = children.find(box => box.type === 'iprp');
+    const propertyBoxes = propertiesBox && readBoxes(buffer, propertiesBox.start, propertiesBox.end);
+    const container = propertyBoxes?.find(box => box.type === 'ipco');
+    const properties = container && readBoxes(buffer, container.start, container.end);
+
+    if (!properties) {
+        return null;
+    }
+
+    const primaryId = primary && (buffer[primary.start] === 0 ? buffer.readUInt16BE(primary.start + 4) : buffer.readUInt32BE(primary.start + 4));
+    const associations = propertyBoxes.find(box => box.type === 'ipma');
+    const associated = primaryId !== undefined && associations ?
+        readHeifAssociations(buffer, associations).get(primaryId) || [] : [];
+
+    const extents = box => ({ width: buffer.readUInt32BE(box.start + 4), height: buffer.readUInt32BE(box.start + 8) });
+    const linked = associated.map(index => properties[index - 1]).filter(Boolean);
+    const spatial = linked.find(box => box.type === 'ispe') ||
+        properties.filter(box => box.type === 'ispe').sort((a, b) => extents(b).width * extents(b).height - extents(a).width * extents(a).height)[0];
+
+    if (!spatial || spatial.end - spatial.start < 12) {
+        return null;
+    }
+
+    const { width, height } = extents(spatial);
+    const rotation = linked.find(box => box.type === 'irot');
+    const quarterTurn = rotation && buffer[rotation.start] & 1;
+
+    return width && height ? (quarterTurn ? { width: height, height: width } : { width, height }) : null;
+}
+
+/**
+ * @returns {Map<number, number[]>} Item id to its 1-based property indices
+ */
+function readHeifAssociations(buffer, box) {
+    const version = buffer[box.start];
+    const wideIndices = buffer[box.start + 3] & 1;
+    const entries = new Map();
+    let offset = box.start + 8;
+
+    for (let entry = buffer.readUInt32BE(box.start + 4); entry > 0 && offset < box.end; entry--) {
+        const itemId = version < 1 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+        offset += version < 1 ? 2 : 4;
+
+        const indices = [];
+        for (let count = buffer[offset++]; count > 0; count--) {
+            indices.push(wideIndices ? buffer.readUInt16BE(offset) & 0x7fff : buffer[offset] & 0x7f);
+            offset += wideIndices ? 2 : 1;
+        }
+
+        entries.set(itemId, indices);
+    }
+
+    return entries;
+}
+
+module.exports = {
+    readImage
+};
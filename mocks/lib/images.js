@@ -0,0 +1,296 @@
+/**
+ * Images
+ * Reads the images sent in request parts. Inline data must be valid base64 and, for image
+ * types, a well-formed image of the declared type. Images are billed by tile as in the API,
+ * and described by their real size, shape and colours in mock answers
+ */
+
+const { readImage } = require('./image-decoder');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif', 'image/gif'];
+
+// HEIC images are stored in HEIF containers, so the two types are interchangeable
+const TYPE_ALIASES = { 'image/jpg': 'image/jpeg', 'image/heif': 'image/heic' };
+
+const FORMAT_NAMES = {
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/webp': 'WebP',
+    'image/heic': 'HEIC',
+    'image/heif': 'HEIF',
+    'image/gif': 'GIF'
+};
+
+// Images up to 384 pixels on both sides are one tile. Larger ones are cut into tiles
+// two-thirds the length of their shorter side
+const TILE_TOKENS = 258;
+const SMALL_IMAGE_SIDE = 384;
+
+// Standard and URL-safe alphabets, padding optional
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+const COMMON_RATIOS = [[1, 1], [5, 4], [4, 3], [3, 2], [16, 10], [16, 9], [2, 1], [21, 9], [3, 1]];
+
+// Colours listed in a description must cover at least this share of the image
+const MIN_COLOUR_SHARE = 0.1;
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+const decoded = new WeakMap();
+
+function normalizeType(mimeType) {
+    const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+    return TYPE_ALIASES[type] || type;
+}
+
+function isImageType(mimeType) {
+    return IMAGE_TYPES.includes(normalizeType(mimeType));
+}
+
+/**
+ * Decodes an image file's contents
+ * @param {Buffer} data - File contents
+ * @param {string} mimeType - Declared type
+ * @returns {{ image: object }|{ error: string }} image is { mimeType, width, height, ... }
+ */
+function decodeImage(data, mimeType) {
+    let image = null;
+
+    try {
+        image = readImage(data);
+    } catch (error) {
+        // Boxes or segments that point outside the data
+    }
+
+    const declared = normalizeType(mimeType);
+
+    if (!image) {
+        return { error: `Unable to process input image. The data is not a valid ${FORMAT_NAMES[declared] || declared} image.` };
+    }
+    if (normalizeType(image.mimeType) !== declared) {
+        return { error: `Unable to process input image. The data is a ${FORMAT_NAMES[image.mimeType]} image but mime_type is ${mimeType}.` };
+    }
+
+    return { image };
+}
+
+/**
+ * Checks and decodes an inline_data part once; later calls for the same object reuse the result
+ * @param {object} inlineData - { mime_type, data } in either field case
+ * @returns {{ image: object|null }|{ error: string }} image is null for other media types
+ */
+function readInlineData(inlineData) {
+    if (!decoded.has(inlineData)) {
+        decoded.set(inlineData, decodeInlineData(inlineData));
+    }
+
+    return decoded.get(inlineData);
+}
+
+function decodeInlineData(inlineData) {
+    const data = inlineData.data;
+    const mimeType = inlineData.mime_type || inlineData.mimeType;
+
+    if (typeof data !== 'string' || !BASE64_PATTERN.test(data) || data.replace(/=+$/, '').length % 4 === 1) {
+        const preview = String(data).length > 40 ? `${String(data).slice(0, 40)}...` : String(data);
+        return { error: `Invalid value (TYPE_BYTES), Base64 decoding failed for "${preview}"` };
+    }
+
+    if (!isImageType(mimeType)) {
+        return { image: null };
+    }
+
+    return decodeImage(Buffer.from(data, 'base64'), mimeType);
+}
+
+/**
+ * @returns {number} Tiles the model sees the image as
+ */
+function countImageTiles({ width, height }) {
+    if (width <= SMALL_IMAGE_SIDE && height <= SMALL_IMAGE_SIDE) {
+        return 1;
+    }
+
+    const tileSide = Math.max(1, Math.floor(Math.min(width, height) / 1.5));
+    return Math.ceil(width / tileSide) * Math.ceil(height / tileSide);
+}
+
+function countImageTokens(image) {
+    return countImageTiles(image) * TILE_TOKENS;
+}
+
+/**
+ * Names the colour of an RGB value by its hue, saturation and lightness
+ */
+function nameColour(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+    const lightness = (max + min) / 510;
+    const saturation = delta === 0 ? 0 : delta / 255 / (1 - Math.abs(2 * lightness - 1));
+
+    if (lightness < 0.12) {
+        return 'black';
+    }
+    if (lightness > 0.92) {
+        return 'white';
+    }
+    if (saturation < 0.15) {
+        return lightness < 0.25 ? 'black' : lightness > 0.85 ? 'white' : 'grey';
+    }
+
+    const hue = max === r ? 60 * (((g - b) / delta + 6) % 6) :
+        max === g ? 60 * ((b - r) / delta + 2) : 60 * ((r - g) / delta + 4);
+
+    if (hue < 15 || hue >= 345) {
+        return 'red';
+    }
+    if (hue < 45) {
+        return lightness < 0.35 ? 'brown' : 'orange';
+    }
+    if (hue < 70) {
+        return 'yellow';
+    }
+    if (hue < 165) {
+        return 'green';
+    }
+    if (hue < 200) {
+        return 'teal';
+    }
+    if (hue < 260) {
+        return 'blue';
+    }
+    if (hue < 290) {
+        return 'purple';
+    }
+    return 'pink';
+}
+
+/**
+ * The image's main colours and overall brightness, worked out once per image
+ * @returns {{ colours: Array<{ name: string, share: number }>, brightness: number }|null}
+ *   Null when the format's pixels cannot be sampled or the data is corrupt
+ */
+function getColourSummary(image) {
+    if (image.colourSummary === undefined) {
+        let bins = null;
+
+        try {
+            bins = image.sampleColours();
+        } catch (error) {
+            // Corrupt pixel data: only the header could be read
+        }
+
+        image.colourSummary = bins && summarizeColours(bins);
+    }
+
+    return image.colourSummary;
+}
+
+function summarizeColours(bins) {
+    const totals = {};
+    let total = 0;
+    let lightness = 0;
+
+    bins.forEach((count, bin) => {
+        if (count === 0) {
+            return;
+        }
+
+        // Each bin stands for the centre of its range
+        const [r, g, b] = [bin >> 8, (bin >> 4) & 15, bin & 15].map(value => (value << 4) + 8);
+        const name = nameColour(r, g, b);
+
+        totals[name] = (totals[name] || 0) + count;
+        total += count;
+        lightness += count * (Math.max(r, g, b) + Math.min(r, g, b)) / 510;
+    });
+
+    if (total === 0) {
+        return null;
+    }
+
+    const colours = Object.entries(totals)
+        .map(([name, count]) => ({ name, share: count / total }))
+        .sort((a, b) => b.share - a.share)
+        .filter((colour, index) => index === 0 || colour.share >= MIN_COLOUR_SHARE)
+        .slice(0, 3);
+
+    return { colours, brightness: lightness / total };
+}
+
+function formatAspectRatio(width, height) {
+    const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+    const divisor = gcd(width, height);
+
+    if (width / divisor <= 32 && height / divisor <= 32) {
+        return `${width / divisor}:${height / divisor}`;
+    }
+
+    const ratio = Math.max(width, height) / Math.min(width, height);
+    const common = COMMON_RATIOS.find(([long, short]) => Math.abs(long / short - ratio) / ratio < 0.02);
+
+    if (common) {
+        return `about ${width >= height ? common.join(':') : [...common].reverse().join(':')}`;
+    }
+
+    return width >= height ? `${ratio.toFixed(2)}:1` : `1:${ratio.toFixed(2)}`;
+}
+
+function formatList(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Sentences describing one image
+ * @param {object} image - Decoded image
+ * @param {string} subject - How the first sentence refers to it, e.g. 'This is'
+ */
+function describeImage(image, subject) {
+    const { width, height } = image;
+    const format = FORMAT_NAMES[image.mimeType];
+    const shape = width === height ?
+        'It is square, with a 1:1 aspect ratio.' :
+        `It is in ${width > height ? 'landscape' : 'portrait'} orientation, with a ${formatAspectRatio(width, height)} aspect ratio.`;
+    const sentences = [`${subject} a ${width} × ${height} pixel ${format} image.`, shape];
+
+    const summary = getColourSummary(image);
+    if (summary) {
+        const colours = summary.colours.map(({ name, share }) => `${name} (${Math.round(share * 100)}%)`);
+        const tone = summary.brightness < 0.3 ? 'dark' : summary.brightness > 0.7 ? 'bright' : 'balanced';
+
+        sentences.push(`The dominant ${colours.length === 1 ? 'colour is' : 'colours are'} ${formatList(colours)}, and the overall tone is ${tone}.`);
+    }
+
+    const tiles = countImageTiles(image);
+    sentences.push(`At this size the model sees it as ${tiles} ${tiles === 1 ? 'tile' : 'tiles'}, or ${tiles * TILE_TOKENS} tokens.`);
+
+    return sentences.join(' ');
+}
+
+/**
+ * Describes the media attached to a message
+ * @param {Array<{ image: object|null, mimeType: string }>} attachments - One per media part,
+ *   with the decoded image for readable images
+ */
+function describeAttachments(attachments) {
+    if (attachments.length === 1) {
+        const [{ image, mimeType }] = attachments;
+        return image ? describeImage(image, 'This is') : `The attachment is a ${mimeType || 'file'} file, which I can only identify by its type.`;
+    }
+
+    const descriptions = attachments.map(({ image, mimeType }, index) => {
+        const subject = `The ${ORDINALS[index] || `${index + 1}th`} attachment is`;
+        return image ? describeImage(image, subject) : `${subject} a ${mimeType || 'file'} file.`;
+    });
+
+    return [`I can see ${attachments.length} attachments.`, ...descriptions].join(' ');
+}
+
+module.exports = {
+    isImageType,
+    decodeImage,
+    readInlineData,
+    countImageTokens,
+    describeAttachments
+};
@@ -0,0 +1,198 @@
+/**
+ * Key Store
+ * Checks API keys (key query parameter or x-goog-api-key header) and OAuth bearer tokens
+ * against a configurable store, and builds the errors the API returns for bad credentials
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KEYS_FILE = path.join(__dirname, '../keys.json');
+
+const SERVICE = 'generativelanguage.googleapis.com';
+
+const STATUSES = ['ACTIVE', 'INVALID', 'REVOKED'];
+
+class KeyStore {
+    /**
+     * @param {object} options - { file, config }; an inline config object takes the place of the file
+     */
+    constructor(options = {}) {
+        this.file = options.file || KEYS_FILE;
+        this.config = options.config || null;
+        this.load();
+    }
+
+    /**
+     * @throws {Error} When an entry has an unknown status
+     */
+    load() {
+        const { project, acceptUnknownCredentials = true, keys = [], tokens = [] } = this.config || JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+        for (const entry of [...keys, ...tokens]) {
+            if (!STATUSES.includes(entry.status)) {
+                throw new Error(`Invalid credential status "${entry.status}" in ${this.config ? 'the key store config' : this.file} (expected one of ${STATUSES.join(', ')})`);
+            }
+        }
+
+        this.project = project;
+        this.acceptUnknownCredentials = acceptUnknownCredentials;
+        this.keys = new Map(keys.map(entry => [entry.key, entry]));
+        this.tokens = new Map(tokens.map(entry => [entry.token, entry]));
+    }
+
+    /**
+     * Reads the credentials a request carries. The key query parameter wins over headers
+     * @param {object} options - { bearerApiKey }: read a bearer token as an API key, as the
+     *   OpenAI-compatible endpoints do
+     * @returns {{ apiKey: string|null, token: string|null }}
+     */
+    getCredentials(req, options = {}) {
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        const apiKey = req.query.key || req.headers['x-goog-api-key'] || req.headers['x-api-key'] || null;
+
+        if (options.bearerApiKey) {
+            return { apiKey: apiKey || (bearer ? bearer[1] : null), token: null };
+        }
+
+        return {
+            apiKey,
+            token: bearer ? bearer[1] : null
+        };
+    }
+
+    /**
+     * Checks every credential on the request
+     * @param {object} options - Passed to getCredentials
+     * @returns {{ credential: string }|{ error: object }} The credential quotas are counted
+     *   against, or the error response body
+     */
+    authenticate(req, options = {}) {
+        const { apiKey, token } = this.getCredentials(req, options);
+
+        if (!apiKey && !token) {
+            return {
+                error: this.buildError(403, 'PERMISSION_DENIED',
+                    'Method doesn\'t allow unregistered callers (callers without established identity). Please use API Key or other form of API consumer identity to call this API.')
+            };
+        }
+
+        if (apiKey) {
+            const error = this.checkKey(apiKey);
+            if (error) {
+                return { error };
+            }
+        }
+
+        if (token) {
+            const error = this.checkToken(token);
+            if (error) {
+                return { error };
+            }
+        }
+
+        return { credential: apiKey || token };
+    }
+
+    checkKey(apiKey) {
+        const entry = this.keys.get(apiKey);
+        const state = this.getState(entry);
+
+        if (state === 'INVALID' || state === 'REVOKED') {
+            return this.buildError(400, 'INVALID_ARGUMENT', 'API key not valid. Please pass a valid API key.', 'API_KEY_INVALID');
+        }
+
+        if (state === 'EXPIRED') {
+            return this.buildError(400, 'INVALID_ARGUMENT', 'API key expired. Please renew the API key.', 'API_KEY_INVALID');
+        }
+
+        if (state === 'WRONG_PROJECT') {
+            return this.buildServiceDisabledError(entry.project);
+        }
+
+        return null;
+    }
+
+    checkToken(token) {
+        const entry = this.tokens.get(token);
+        const state = this.getState(entry);
+
+        if (state === 'INVALID' || state === 'REVOKED') {
+            return this.buildError(401, 'UNAUTHENTICATED',
+                'Request had invalid authentication credentials. Expected OAuth 2 access token, login cookie or other valid authentication credential. See https://developers.google.com/identity/sign-in/web/devconsole-project.',
+                'ACCESS_TOKEN_TYPE_UNSUPPORTED');
+        }
+
+        if (state === 'EXPIRED') {
+            return this.buildError(401, 'UNAUTHENTICATED',
+                'Request had invalid authentication credentials. Expected OAuth 2 access token, login cookie or other valid authentication credential. See https://developers.google.com/identity/sign-in/web/devconsole-project.',
+                'ACCESS_TOKEN_EXPIRED');
+        }
+
+        if (state === 'WRONG_PROJECT') {
+            return this.buildServiceDisabledError(entry.project);
+        }
+
+        return null;
+    }
+
+    /**
+     * @returns {string} VALID, INVALID, REVOKED, EXPIRED or WRONG_PROJECT
+     */
+    getState(entry) {
+        if (!entry) {
+            return this.acceptUnknownCredentials ? 'VALID' : 'INVALID';
+        }
+
+        if (entry.status !== 'ACTIVE') {
+            return entry.status;
+        }
+
+        if (entry.expireTime && Date.parse(entry.expireTime) <= Date.now()) {
+            return 'EXPIRED';
+        }
+
+        if (entry.project && entry.project !== this.project) {
+            return 'WRONG_PROJECT';
+        }
+
+        return 'VALID';
+    }
+
+    /**
+     * Credentials from a project that has not enabled the API
+     */
+    buildServiceDisabledError(project) {
+        const error = this.buildError(403, 'PERMISSION_DENIED',
+            `Generative Language API has not been used in project ${project} before or it is disabled. ` +
+            `Enable it by visiting https://console.developers.google.com/apis/api/${SERVICE}/overview?project=${project} then retry.`,
+            'SERVICE_DISABLED');
+
+        error.error.details[0].metadata.consumer = `projects/${project}`;
+        return error;
+    }
+
+    buildError(code, status, message, reason) {
+        const body = { error: { code, message, status } };
+
+        if (reason) {
+            body.error.details = [
+                {
+                    '@type': 'type.googleapis.com/google.rpc.ErrorInfo',
+                    reason,
+                    domain: 'googleapis.com',
+                    metadata: { service: SERVICE }
+                },
+                {
+                    '@type': 'type.googleapis.com/google.rpc.LocalizedMessage',
+                    locale: 'en-US',
+                    message
+                }
+            ];
+        }
+
+        return body;
+    }
+}
+
+module.exports = KeyStore;
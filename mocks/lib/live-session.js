@@ -0,0 +1,567 @@
+/**
+ * Live Session
+ * One BidiGenerateContent WebSocket session of the Live API: the setup handshake, client
+ * turns, realtime input, tool calls, and replies streamed as text or synthetic PCM audio
+ * that new user input can interrupt
+ */
+
+const CLOSE_CODES = {
+    400: 1007,
+    401: 1008,
+    403: 1008,
+    404: 1008,
+    429: 1011,
+    500: 1011
+};
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const OUTPUT_MIME_TYPE = `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`;
+const INPUT_SAMPLE_RATE = 16000;
+
+// Synthetic speech runs at about 60ms a character, capped so long replies stay small
+const MS_PER_CHARACTER = 60;
+const MAX_SPEECH_MS = 20000;
+const AUDIO_CHUNK_MS = 400;
+
+// Gap after the last audio chunk that automatic activity detection treats as end of speech
+const SILENCE_MS = 800;
+
+// Close reasons are limited to 123 bytes by the WebSocket protocol
+const MAX_REASON_BYTES = 123;
+
+/**
+ * Deterministic stand-in for speech: a short tone per character with silence for spaces,
+ * as 16-bit little-endian mono PCM
+ */
+function synthesizeSpeech(text) {
+    const characters = Array.from(text).slice(0, Math.floor(MAX_SPEECH_MS / MS_PER_CHARACTER));
+    const samplesPerCharacter = Math.round(OUTPUT_SAMPLE_RATE * MS_PER_CHARACTER / 1000);
+    const buffer = Buffer.alloc(characters.length * samplesPerCharacter * 2);
+
+    characters.forEach((character, index) => {
+        if (/\s/.test(character)) {
+            return;
+        }
+
+        const frequency = 160 + (character.codePointAt(0) % 24) * 15;
+
+        for (let sample = 0; sample < samplesPerCharacter; sample++) {
+            const envelope = Math.sin(Math.PI * sample / samplesPerCharacter);
+            const value = Math.round(8000 * envelope * Math.sin(2 * Math.PI * frequency * sample / OUTPUT_SAMPLE_RATE));
+            buffer.writeInt16LE(value, (index * samplesPerCharacter + sample) * 2);
+        }
+    });
+
+    return buffer;
+}
+
+function truncateReason(reason) {
+    let text = reason;
+
+    while (Buffer.byteLength(text) > MAX_REASON_BYTES) {
+        text = text.slice(0, -1);
+    }
+
+    return text;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkBlob(blob, field) {
+    if (!isObject(blob)) {
+        return `${field} must be an object.`;
+    }
+    if (blob.data !== undefined && typeof blob.data !== 'string') {
+        return `${field}.data must be a base64 string.`;
+    }
+    return null;
+}
+
+/**
+ * Checks the parts of a client message the session reads, so malformed input is refused
+ * before it is used
+ * @param {string} type - setup, clientContent, realtimeInput or toolResponse
+ * @returns {string|null} Why the message is invalid
+ */
+function checkMessage(type, payload) {
+    if (!isObject(payload)) {
+        return `${type} must be an object.`;
+    }
+
+    if (type === 'setup') {
+        const config = payload.generationConfig || payload.generation_config;
+        const inputConfig = payload.realtimeInputConfig || payload.realtime_input_config;
+
+        if (config !== undefined && !isObject(config)) {
+            return 'setup.generationConfig must be an object.';
+        }
+        if (config?.responseModalities !== undefined && !Array.isArray(config.responseModalities)) {
+            return 'setup.generationConfig.responseModalities must be a list.';
+        }
+        if (inputConfig !== undefined && !isObject(inputConfig)) {
+            return 'setup.realtimeInputConfig must be an object.';
+        }
+        return null;
+    }
+
+    if (type === 'clientContent') {
+        const turns = payload.turns === undefined ? [] : [].concat(payload.turns);
+        const index = turns.findIndex(turn =>
+            !isObject(turn) || (turn.parts !== undefined && (!Array.isArray(turn.parts) || !turn.parts.every(isObject))));
+
+        return index === -1 ? null : `clientContent.turns[${index}] must be an object with a list of parts.`;
+    }
+
+    if (type === 'realtimeInput') {
+        const chunks = payload.mediaChunks || payload.media_chunks;
+
+        if (payload.text !== undefined && typeof payload.text !== 'string') {
+            return 'realtimeInput.text must be a string.';
+        }
+        if (chunks !== undefined && !Array.isArray(chunks)) {
+            return 'realtimeInput.mediaChunks must be a list.';
+        }
+        return [
+            payload.audio !== undefined && checkBlob(payload.audio, 'realtimeInput.audio'),
+            ...(chunks || []).map((chunk, index) => checkBlob(chunk, `realtimeInput.mediaChunks[${index}]`))
+        ].find(Boolean) || null;
+    }
+
+    const responses = payload.functionResponses || payload.function_responses || [];
+
+    if (!Array.isArray(responses)) {
+        return 'toolResponse.functionResponses must be a list.';
+    }
+
+    const index = responses.findIndex(response => !isObject(response));
+    return index === -1 ? null : `toolResponse.functionResponses[${index}] must be an object.`;
+}
+
+/**
+ * Seconds of audio in a base64 PCM chunk, from the rate in its MIME type
+ */
+function audioSeconds(blob) {
+    const rate = Number((blob.mimeType || blob.mime_type || '').match(/rate=(\d+)/)?.[1]) || INPUT_SAMPLE_RATE;
+    return Buffer.byteLength(blob.data || '', 'base64') / 2 / rate;
+}
+
+class LiveSession {
+    /**
+     * @param {WebSocket} socket - Accepted WebSocket connection
+     * @param {object} options - { models, admit, generate, splitText, zeroLatency, logger }.
+     *   admit(model) returns an API error ({ code, message }) that refuses the session, or
+     *   null; generate(body, model) returns { response } with a generateContent response
+     *   for the history, or { error } with the API error that ends the session
+     */
+    constructor(socket, options) {
+        this.socket = socket;
+        this.models = options.models;
+        this.admit = options.admit;
+        this.generate = options.generate;
+        this.splitText = options.splitText;
+        this.chunkDelay = options.zeroLatency ? 0 : 100;
+        this.logger = options.logger;
+
+        this.config = null;
+        this.history = [];
+        this.pendingInput = { texts: [], audioSeconds: 0 };
+        this.silenceTimer = null;
+        this.reply = null;
+        this.pendingCalls = [];
+        this.callCount = 0;
+        this.turnCount = 0;
+
+        socket.on('message', data => this.handleMessage(data));
+        socket.on('close', () => this.clearTimers());
+    }
+
+    /**
+     * A message that cannot be handled closes the session rather than the server
+     */
+    handleMessage(data) {
+        try {
+            this.dispatch(data);
+        } catch (error) {
+            this.logger.warn('Live session message failed', { error });
+            this.close(1007, 'Request contains an invalid argument.');
+        }
+    }
+
+    dispatch(data) {
+        let message;
+
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return this.close(1007, 'Invalid JSON payload received.');
+        }
+
+        if (!message || typeof message !== 'object') {
+            return this.close(1007, 'Invalid JSON payload received.');
+        }
+
+        const setup = message.setup;
+        const clientContent = message.clientContent || message.client_content;
+        const realtimeInput = message.realtimeInput || message.realtime_input;
+        const toolResponse = message.toolResponse || message.tool_response;
+
+        const [type, payload] = Object.entries({ setup, clientContent, realtimeInput, toolResponse })
+            .find(([, value]) => value !== undefined) || [];
+        const invalid = type && checkMessage(type, payload);
+
+        if (invalid) {
+            return this.close(1007, invalid);
+        }
+
+        if (!this.config) {
+            return setup ? this.handleSetup(setup) : this.close(1007, 'The first message must be setup.');
+        }
+
+        if (setup) {
+            return this.close(1007, 'setup can only be sent once per session.');
+        }
+        if (clientContent) {
+            return this.handleClientContent(clientContent);
+        }
+        if (realtimeInput) {
+            return this.handleRealtimeInput(realtimeInput);
+        }
+        if (toolResponse) {
+            return this.handleToolResponse(toolResponse);
+        }
+
+        this.close(1007, 'Expected one of clientContent, realtimeInput or toolResponse.');
+    }
+
+    handleSetup(setup) {
+        const modelId = String(setup.model || '').replace(/^models\//, '');
+        const model = modelId && this.models.get(modelId);
+
+        if (!model || !this.models.supports(model, 'bidiGenerateContent')) {
+            return this.close(1008, `models/${modelId} is not found for API version v1beta, or is not supported for bidiGenerateContent.`);
+        }
+
+        const { responseModalities, speechConfig, ...generationConfig } = setup.generationConfig || setup.generation_config || {};
+        const modalities = (responseModalities || ['AUDIO']).map(modality => String(modality).toUpperCase());
+
+        if (modalities.length !== 1 || !['TEXT', 'AUDIO'].includes(modalities[0])) {
+            return this.close(1007, 'responseModalities must be exactly one of TEXT or AUDIO.');
+        }
+
+        const realtimeInputConfig = setup.realtimeInputConfig || setup.realtime_input_config || {};
+        const activityDetection = realtimeInputConfig.automaticActivityDetection || realtimeInputConfig.automatic_activity_detection || {};
+
+        const error = this.admit(modelId);
+        if (error) {
+            return this.close(CLOSE_CODES[error.code] || 1011, error.message);
+        }
+
+        this.config = {
+            model: modelId,
+            modality: modalities[0],
+            generationConfig,
+            systemInstruction: setup.systemInstruction || setup.system_instruction,
+            tools: setup.tools,
+            inputTranscription: Boolean(setup.inputAudioTranscription || setup.input_audio_transcription),
+            outputTranscription: Boolean(setup.outputAudioTranscription || setup.output_audio_transcription),
+            automaticActivityDetection: !activityDetection.disabled
+        };
+
+        this.send({ setupComplete: {} });
+    }
+
+    /**
+     * Turns are added to the history; a turnComplete turn is answered
+     */
+    handleClientContent({ turns = [], turnComplete = false, turn_complete: turnCompleteSnake }) {
+        this.interrupt();
+
+        for (const turn of Array.isArray(turns) ? turns : [turns]) {
+            this.appendTurn(turn.role || 'user', turn.parts || []);
+        }
+
+        if (turnComplete || turnCompleteSnake) {
+            this.respond();
+        }
+    }
+
+    /**
+     * Realtime text is answered straight away. Audio is buffered until the client ends
+     * the stream, marks the end of activity, or goes quiet while automatic activity
+     * detection is on. Speech that starts while the model is replying interrupts it
+     */
+    handleRealtimeInput(input) {
+        // Video frames are accepted but not used
+        const audio = [input.audio, ...(input.mediaChunks || input.media_chunks || [])]
+            .filter(blob => blob && /^audio\//.test(blob.mimeType || blob.mime_type || ''));
+
+        if (input.activityStart || input.activity_start) {
+            this.interrupt();
+        }
+
+        if (input.text) {
+            this.interrupt();
+            this.pendingInput.texts.push(input.text);
+        }
+
+        if (audio.length > 0) {
+            if (this.config.automaticActivityDetection) {
+                this.interrupt();
+            }
+            this.pendingInput.audioSeconds += audio.reduce((total, blob) => total + audioSeconds(blob), 0);
+        }
+
+        if (input.activityEnd || input.activity_end || input.audioStreamEnd || input.audio_stream_end) {
+            return this.endUserTurn();
+        }
+
+        if (!this.config.automaticActivityDetection) {
+            return;
+        }
+
+        if (input.text) {
+            return this.endUserTurn();
+        }
+
+        if (audio.length > 0) {
+            clearTimeout(this.silenceTimer);
+            this.silenceTimer = setTimeout(() => this.endUserTurn(), SILENCE_MS);
+        }
+    }
+
+    /**
+     * Adds the function results to the history and answers them once every pending call
+     * has a result. Results without ids answer all pending calls
+     */
+    handleToolResponse({ functionResponses = [], function_responses: functionResponsesSnake }) {
+        const responses = functionResponsesSnake || functionResponses;
+
+        this.pendingCalls = responses.some(response => !response.id) ? [] :
+            this.pendingCalls.filter(call => !responses.some(response => response.id === call.id));
+        this.appendTurn('user', responses.map(({ id, name, response }) => ({
+            functionResponse: { ...(id && { id }), name, response }
+        })));
+
+        if (this.pendingCalls.length === 0) {
+            this.respond();
+        }
+    }
+
+    /**
+     * Turns buffered realtime input into a user turn and answers it. The mock has no
+     * speech recognition, so audio is represented by a note of its length
+     */
+    endUserTurn() {
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = null;
+
+        const { texts, audioSeconds: seconds } = this.pendingInput;
+        this.pendingInput = { texts: [], audioSeconds: 0 };
+
+        if (texts.length === 0 && seconds === 0) {
+            return;
+        }
+
+        const parts = texts.map(text => ({ text }));
+
+        if (seconds > 0) {
+            const transcript = `[${seconds.toFixed(1)}s of audio]`;
+            parts.push({ text: transcript });
+
+            if (this.config.inputTranscription) {
+                this.send({ serverContent: { inputTranscription: { text: transcript } } });
+            }
+        }
+
+        this.appendTurn('user', parts);
+        this.respond();
+    }
+
+    appendTurn(role, parts) {
+        const last = this.history[this.history.length - 1];
+
+        if (last && last.role === role) {
+            last.parts.push(...parts);
+        } else {
+            this.history.push({ role, parts: [...parts] });
+        }
+    }
+
+    respond() {
+        if (this.history.length === 0) {
+            return;
+        }
+
+        let result;
+
+        try {
+            result = this.generate({
+                contents: this.history,
+                ...(this.config.systemInstruction && { systemInstruction: this.config.systemInstruction }),
+                ...(this.config.tools && { tools: this.config.tools }),
+                generationConfig: this.config.generationConfig
+            }, this.config.model);
+        } catch (error) {
+            this.logger.error('Live session generation failed', { error });
+            return this.close(1011, 'Internal error encountered.');
+        }
+
+        if (result.error) {
+            return this.close(CLOSE_CODES[result.error.code] || 1011, result.error.message);
+        }
+
+        const { response } = result;
+        this.turnCount++;
+
+        const usageMetadata = {
+            promptTokenCount: response.usageMetadata?.promptTokenCount || 0,
+            responseTokenCount: response.usageMetadata?.candidatesTokenCount || 0,
+            totalTokenCount: response.usageMetadata?.totalTokenCount || 0
+        };
+        const parts = response.candidates?.[0]?.content?.parts || [];
+        const functionCalls = parts.filter(part => part.functionCall).map(part => ({
+            id: `function-call-${++this.callCount}`,
+            name: part.functionCall.name,
+            args: part.functionCall.args || {}
+        }));
+
+        if (functionCalls.length > 0) {
+            this.appendTurn('model', functionCalls.map(call => ({ functionCall: call })));
+            this.pendingCalls = functionCalls;
+            return this.send({ toolCall: { functionCalls }, usageMetadata });
+        }
+
+        const text = parts.map(part => part.text || '').join('');
+        this.streamReply(text, usageMetadata);
+    }
+
+    /**
+     * Sends the reply as serverContent chunks, then generationComplete and turnComplete.
+     * What was sent is kept in the history, so an interrupted reply is remembered as cut off
+     */
+    streamReply(text, usageMetadata) {
+        const pieces = text ? this.splitText(text) : [];
+        const messages = this.config.modality === 'AUDIO' ?
+            this.buildAudioMessages(pieces) :
+            pieces.map(piece => ({ parts: [{ text: piece }], spoken: piece }));
+
+        this.reply = { spoken: '', timer: null };
+        let index = 0;
+
+        const sendNext = () => {
+            if (index < messages.length) {
+                const { parts, transcription, spoken } = messages[index++];
+
+                this.send({
+                    serverContent: {
+                        ...(parts && { modelTurn: { parts } }),
+                        ...(transcription && { outputTranscription: { text: transcription } })
+                    }
+                });
+                this.reply.spoken += spoken || '';
+                this.reply.timer = setTimeout(sendNext, this.chunkDelay);
+                return;
+            }
+
+            this.finishReply();
+            this.send({ serverContent: { generationComplete: true } });
+            this.send({ serverContent: { turnComplete: true }, usageMetadata });
+        };
+
+        sendNext();
+    }
+
+    /**
+     * Spreads the text over the synthesized audio; when output transcription is on, each
+     * piece of text is sent with the audio chunk it starts in
+     */
+    buildAudioMessages(pieces) {
+        const audio = synthesizeSpeech(pieces.join(''));
+        const chunkBytes = Math.round(OUTPUT_SAMPLE_RATE * AUDIO_CHUNK_MS / 1000) * 2;
+        const chunkCount = Math.max(Math.ceil(audio.length / chunkBytes), pieces.length > 0 ? 1 : 0);
+
+        return Array.from({ length: chunkCount }, (value, index) => {
+            const first = Math.ceil(index * pieces.length / chunkCount);
+            const last = Math.ceil((index + 1) * pieces.length / chunkCount);
+            const spoken = pieces.slice(first, last).join('');
+            const data = audio.subarray(index * chunkBytes, (index + 1) * chunkBytes);
+
+            return {
+                parts: data.length > 0 ? [{ inlineData: { mimeType: OUTPUT_MIME_TYPE, data: data.toString('base64') } }] : null,
+                transcription: this.config.outputTranscription && spoken ? spoken : null,
+                spoken
+            };
+        });
+    }
+
+    finishReply() {
+        if (!this.reply) {
+            return;
+        }
+
+        clearTimeout(this.reply.timer);
+
+        if (this.reply.spoken) {
+            this.appendTurn('model', [{ text: this.reply.spoken }]);
+        }
+
+        this.reply = null;
+    }
+
+    /**
+     * Cuts off a reply in progress and cancels tool calls still waiting for a response
+     */
+    interrupt() {
+        if (this.reply) {
+            this.finishReply();
+            this.send({ serverContent: { interrupted: true } });
+        }
+
+        if (this.pendingCalls.length > 0) {
+            this.send({ toolCallCancellation: { ids: this.pendingCalls.map(call => call.id) } });
+            this.pendingCalls = [];
+        }
+    }
+
+    /**
+     * Warns the client that the server is going away, then closes the session
+     */
+    goAway() {
+        this.send({ goAway: { timeLeft: '0s' } });
+        this.close(1001, 'The server is shutting down.');
+    }
+
+    /**
+     * Closes a connection refused before its session started, such as one with an invalid
+     * API key, using the close code that matches the API error status
+     * @param {object} error - { code, message } of the API error
+     */
+    static reject(socket, error) {
+        socket.close(CLOSE_CODES[error.code] || 1011, truncateReason(error.message));
+    }
+
+    close(code, reason) {
+        this.clearTimers();
+        this.socket.close(code, truncateReason(reason));
+    }
+
+    clearTimers() {
+        clearTimeout(this.silenceTimer);
+        if (this.reply) {
+            clearTimeout(this.reply.timer);
+        }
+    }
+
+    /**
+     * Server messages are JSON in binary frames, as the API sends them
+     */
+    send(message) {
+        if (this.socket.readyState === this.socket.OPEN) {
+            this.socket.send(Buffer.from(JSON.stringify(message)));
+        }
+    }
+}
+
+module.exports = LiveSession;
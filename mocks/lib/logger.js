@@ -0,0 +1,53 @@
+/**
+ * Logger
+ * Writes one JSON object per line with a timestamp, level and message, so log collectors
+ * can parse and filter the mock's output. Warnings and errors go to stderr
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+class Logger {
+    /**
+     * @param {object} options - { level, stream, errorStream }; level is one of debug, info,
+     *   warn, error or silent
+     * @throws {Error} When the level is unknown
+     */
+    constructor(options = {}) {
+        this.level = options.level || 'info';
+        this.stream = options.stream || process.stdout;
+        this.errorStream = options.errorStream || process.stderr;
+
+        if (LEVELS[this.level] === undefined) {
+            throw new Error(`Unknown log level: ${this.level} (expected one of ${Object.keys(LEVELS).join(', ')})`);
+        }
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const line = JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...fields }, (key, value) =>
+            value instanceof Error ? { message: value.message, stack: value.stack } : value);
+
+        (LEVELS[level] >= LEVELS.warn ? this.errorStream : this.stream).write(`${line}\n`);
+    }
+}
+
+module.exports = Logger;
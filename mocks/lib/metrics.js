@@ -0,0 +1,220 @@
+/**
+ * Metrics
+ * Request, latency, streaming, token, fault, quota and Live API session counters served
+ * from /metrics in the Prometheus text exposition format
+ */
+
+// Seconds; generation routes with simulated latency land in the upper buckets
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const TOKEN_FIELDS = {
+    promptTokenCount: 'prompt',
+    candidatesTokenCount: 'candidates',
+    cachedContentTokenCount: 'cached'
+};
+
+const escapeLabel = value => String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Values keyed by their label set
+ */
+class Metric {
+    constructor(name, help, type, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => labels[name] ?? '');
+        const key = JSON.stringify(values);
+
+        if (!this.series.has(key)) {
+            this.series.set(key, { values, ...create() });
+        }
+
+        return this.series.get(key);
+    }
+
+    formatLabels(values, extra = {}) {
+        const pairs = [
+            ...this.labelNames.map((name, index) => [name, values[index]]),
+            ...Object.entries(extra)
+        ];
+
+        return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+
+        return lines.join('\n');
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${this.formatLabels(series.values)} ${series.value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, 'counter', labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, 'gauge', labelNames);
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    dec(labels = {}, amount = 1) {
+        this.inc(labels, -amount);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, 'histogram', labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries(series) {
+        return [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${this.formatLabels(series.values, { le: bound })} ${series.counts[index]}`),
+            `${this.name}_bucket${this.formatLabels(series.values, { le: '+Inf' })} ${series.count}`,
+            `${this.name}_sum${this.formatLabels(series.values)} ${series.sum}`,
+            `${this.name}_count${this.formatLabels(series.values)} ${series.count}`
+        ];
+    }
+}
+
+class Metrics {
+    constructor() {
+        this.requests = new Counter('gemini_mock_requests_total',
+            'Requests answered, by route, model, method and status code', ['route', 'model', 'method', 'status']);
+        this.duration = new Histogram('gemini_mock_request_duration_seconds',
+            'Time from receiving a request to finishing its response, simulated latency included', ['route', 'model'], DURATION_BUCKETS);
+        this.inFlight = new Gauge('gemini_mock_requests_in_flight',
+            'Requests being answered');
+        this.streamChunks = new Counter('gemini_mock_stream_chunks_total',
+            'Chunks written to streamed responses', ['model']);
+        this.tokens = new Counter('gemini_mock_tokens_total',
+            'Simulated tokens reported in usageMetadata, by type (prompt, candidates or cached)', ['model', 'type']);
+        this.faults = new Counter('gemini_mock_faults_injected_total',
+            'Faults injected by the fault profile or the x-mock-fault header', ['route', 'type']);
+        this.quotaRejections = new Counter('gemini_mock_quota_rejections_total',
+            'Requests rejected for exceeding a quota', ['model', 'tier', 'quota']);
+        this.liveSessions = new Counter('gemini_mock_live_sessions_total',
+            'Live API WebSocket sessions that completed setup', ['model']);
+        this.startTime = new Gauge('gemini_mock_start_time_seconds',
+            'When the server started, in seconds since the Unix epoch');
+
+        this.inFlight.set({}, 0);
+        this.startTime.set({}, Math.floor(Date.now() / 1000));
+    }
+
+    /**
+     * Express middleware: counts each request once its response has finished or its
+     * connection has closed. Reads req.fault and req.quotaViolation, left by the fault
+     * injector and quota middleware. Admin, health check and metrics traffic is left out
+     * @param {function} describe - Returns { route, model } for a request
+     */
+    middleware(describe) {
+        return (req, res, next) => {
+            if (req.path.startsWith('/__admin') || req.path === '/health' || req.path === '/metrics') {
+                return next();
+            }
+
+            const startedAt = process.hrtime.bigint();
+            let recorded = false;
+
+            this.inFlight.inc();
+
+            const record = () => {
+                if (recorded) {
+                    return;
+                }
+                recorded = true;
+
+                // Described once the response is done, when the body has been parsed
+                const { route, model } = describe(req);
+                const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+                this.inFlight.dec();
+                // Connections dropped before a response count as status 0
+                this.requests.inc({ route, model, method: req.method, status: res.headersSent ? res.statusCode : 0 });
+                this.duration.observe({ route, model }, seconds);
+
+                if (req.fault) {
+                    this.faults.inc({ route, type: req.fault.type });
+                }
+
+                if (req.quotaViolation) {
+                    const { model: quotaModel, tier, quota } = req.quotaViolation;
+                    this.quotaRejections.inc({ model: quotaModel, tier, quota });
+                }
+            };
+
+            res.on('finish', record);
+            res.on('close', record);
+            next();
+        };
+    }
+
+    /**
+     * Adds a response's usageMetadata to the token counters
+     */
+    recordUsage(model, usageMetadata = {}) {
+        for (const [field, type] of Object.entries(TOKEN_FIELDS)) {
+            if (usageMetadata[field]) {
+                this.tokens.inc({ model, type }, usageMetadata[field]);
+            }
+        }
+    }
+
+    render() {
+        return [
+            this.requests,
+            this.duration,
+            this.inFlight,
+            this.streamChunks,
+            this.tokens,
+            this.faults,
+            this.quotaRejections,
+            this.liveSessions,
+            this.startTime
+        ].map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,60 @@
+/**
+ * Model Registry
+ * Loads the models the mock serves, with their token limits and supported methods,
+ * and pages through them the way models.list does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { paginate } = require('./pagination');
+
+const MODELS_FILE = path.join(__dirname, '../models.json');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+const MAX_PAGE_SIZE = 1000;
+
+// Endpoints that are covered by another entry in supportedGenerationMethods
+const METHOD_ALIASES = {
+    streamGenerateContent: 'generateContent',
+    batchEmbedContents: 'embedContent'
+};
+
+class ModelRegistry {
+    constructor(options = {}) {
+        this.file = options.file || MODELS_FILE;
+        this.load();
+    }
+
+    load() {
+        const { models = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.models = models;
+    }
+
+    /**
+     * @param {string} id - Model id with or without the models/ prefix
+     */
+    get(id) {
+        const name = id.startsWith('models/') ? id : `models/${id}`;
+        return this.models.find(model => model.name === name) || null;
+    }
+
+    supports(model, method) {
+        return model.supportedGenerationMethods.includes(METHOD_ALIASES[method] || method);
+    }
+
+    /**
+     * Returns one page of models
+     * @throws {Error} When pageSize or pageToken is invalid
+     */
+    list(pageSize, pageToken) {
+        const { items, nextPageToken } = paginate(this.models, pageSize, pageToken, {
+            defaultSize: DEFAULT_PAGE_SIZE,
+            maxSize: MAX_PAGE_SIZE
+        });
+
+        return { models: items, ...(nextPageToken && { nextPageToken }) };
+    }
+}
+
+module.exports = ModelRegistry;
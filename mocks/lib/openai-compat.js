@@ -0,0 +1,455 @@
+/**
+ * OpenAI Compatibility
+ * Translates OpenAI chat completions requests into generateContent requests and
+ * Gemini responses back into chat completions, as the API's /v1beta/openai endpoints do
+ */
+
+const ids = require('./ids');
+const { currentTime } = require('./random');
+
+const FINISH_REASONS = {
+    STOP: 'stop',
+    MAX_TOKENS: 'length',
+    SAFETY: 'content_filter',
+    RECITATION: 'content_filter',
+    BLOCKLIST: 'content_filter',
+    PROHIBITED_CONTENT: 'content_filter',
+    SPII: 'content_filter'
+};
+
+const TOOL_CHOICE_MODES = {
+    none: 'NONE',
+    auto: 'AUTO',
+    required: 'ANY'
+};
+
+// reasoning_effort maps onto a thinking budget, as documented for the compatibility layer
+const THINKING_BUDGETS = {
+    none: 0,
+    minimal: 0,
+    low: 1024,
+    medium: 8192,
+    high: 24576
+};
+
+const ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createId(prefix, random) {
+    return `${prefix}${ids.createId(() => false, random, { alphabet: ids.HEX_ALPHABET, length: 24 })}`;
+}
+
+/**
+ * Drops undefined and null entries, which OpenAI clients send for unset options
+ */
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+}
+
+function toPart(item, field) {
+    switch (item && item.type) {
+        case 'text':
+            return { text: String(item.text ?? '') };
+        case 'image_url': {
+            const url = typeof item.image_url === 'string' ? item.image_url : item.image_url?.url;
+            const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+
+            if (dataUrl) {
+                return { inlineData: { mimeType: dataUrl[1], data: dataUrl[2] } };
+            }
+            if (!url) {
+                throw new Error(`${field}.image_url.url is required`);
+            }
+            return { fileData: { fileUri: url } };
+        }
+        case 'input_audio':
+            return { inlineData: { mimeType: `audio/${item.input_audio?.format || 'wav'}`, data: item.input_audio?.data } };
+        default:
+            throw new Error(`${field}.type must be one of text, image_url or input_audio`);
+    }
+}
+
+function toParts(content, field) {
+    if (content === undefined || content === null) {
+        return [];
+    }
+
+    if (typeof content === 'string') {
+        return [{ text: content }];
+    }
+
+    if (!Array.isArray(content)) {
+        throw new Error(`${field} must be a string or an array of content parts`);
+    }
+
+    return content.map((item, index) => toPart(item, `${field}[${index}]`));
+}
+
+function parseArguments(text, field) {
+    if (isPlainObject(text)) {
+        return text;
+    }
+
+    try {
+        const args = JSON.parse(text || '{}');
+        if (isPlainObject(args)) {
+            return args;
+        }
+    } catch (error) {
+        // Reported below
+    }
+
+    throw new Error(`${field} must be a JSON object encoded as a string`);
+}
+
+/**
+ * Tool results are usually JSON; anything else is wrapped so functionResponse.response stays an object
+ */
+function toFunctionResponse(content) {
+    const text = Array.isArray(content) ? content.map(item => item.text || '').join('') : String(content ?? '');
+
+    try {
+        const parsed = JSON.parse(text);
+        if (isPlainObject(parsed)) {
+            return parsed;
+        }
+    } catch (error) {
+        // Plain text result
+    }
+
+    return { result: text };
+}
+
+function toGenerationConfig(body) {
+    const config = compact({
+        temperature: body.temperature,
+        topP: body.top_p,
+        maxOutputTokens: body.max_completion_tokens ?? body.max_tokens,
+        candidateCount: body.n,
+        stopSequences: typeof body.stop === 'string' ? [body.stop] : body.stop,
+        presencePenalty: body.presence_penalty,
+        frequencyPenalty: body.frequency_penalty,
+        seed: body.seed
+    });
+
+    const format = body.response_format;
+    if (format !== undefined && format !== null) {
+        switch (format.type) {
+            case 'text':
+                break;
+            case 'json_object':
+                config.responseMimeType = 'application/json';
+                break;
+            case 'json_schema':
+                if (!isPlainObject(format.json_schema) || !isPlainObject(format.json_schema.schema)) {
+                    throw new Error('response_format.json_schema.schema is required');
+                }
+                config.responseMimeType = 'application/json';
+                config.responseJsonSchema = format.json_schema.schema;
+                break;
+            default:
+                throw new Error('response_format.type must be one of text, json_object or json_schema');
+        }
+    }
+
+    if (body.reasoning_effort !== undefined && body.reasoning_effort !== null) {
+        if (THINKING_BUDGETS[body.reasoning_effort] === undefined) {
+            throw new Error(`reasoning_effort must be one of ${Object.keys(THINKING_BUDGETS).join(', ')}`);
+        }
+        config.thinkingConfig = { thinkingBudget: THINKING_BUDGETS[body.reasoning_effort] };
+    }
+
+    return config;
+}
+
+function toTools(tools) {
+    if (tools === undefined || tools === null) {
+        return undefined;
+    }
+
+    if (!Array.isArray(tools)) {
+        throw new Error('tools must be an array');
+    }
+
+    const functionDeclarations = tools.map((tool, index) => {
+        if (!tool || tool.type !== 'function' || !isPlainObject(tool.function)) {
+            throw new Error(`tools[${index}] must be a function tool`);
+        }
+
+        return compact({
+            name: tool.function.name,
+            description: tool.function.description,
+            parameters: tool.function.parameters
+        });
+    });
+
+    return functionDeclarations.length > 0 ? [{ functionDeclarations }] : undefined;
+}
+
+function toToolConfig(toolChoice) {
+    if (toolChoice === undefined || toolChoice === null) {
+        return undefined;
+    }
+
+    if (typeof toolChoice === 'string') {
+        if (!TOOL_CHOICE_MODES[toolChoice]) {
+            throw new Error('tool_choice must be none, auto, required or a named function');
+        }
+        return { functionCallingConfig: { mode: TOOL_CHOICE_MODES[toolChoice] } };
+    }
+
+    if (toolChoice.type === 'function' && toolChoice.function?.name) {
+        return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+    }
+
+    throw new Error('tool_choice must be none, auto, required or a named function');
+}
+
+/**
+ * Translates a chat completions request
+ * @param {object} body - OpenAI chat completions request body
+ * @returns {{ model: string, stream: boolean, includeUsage: boolean, request: object }}
+ *   The model id without the models/ prefix and the generateContent request
+ * @throws {Error} When the body cannot be translated
+ */
+function toGeminiRequest(body) {
+    if (!isPlainObject(body)) {
+        throw new Error('Request body must be a JSON object');
+    }
+
+    if (typeof body.model !== 'string' || body.model === '') {
+        throw new Error('model is required');
+    }
+
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        throw new Error('messages must be a non-empty array');
+    }
+
+    const systemParts = [];
+    const contents = [];
+    const toolCallNames = new Map();
+
+    // Consecutive messages from the same side, such as several tool results, share a turn
+    const addTurn = (role, parts) => {
+        const last = contents[contents.length - 1];
+
+        if (parts.length === 0) {
+            return;
+        }
+
+        if (last && last.role === role) {
+            last.parts.push(...parts);
+        } else {
+            contents.push({ role, parts });
+        }
+    };
+
+    body.messages.forEach((message, index) => {
+        const field = `messages[${index}]`;
+
+        if (!isPlainObject(message) || !ROLES.includes(message.role)) {
+            throw new Error(`${field}.role must be one of ${ROLES.join(', ')}`);
+        }
+
+        switch (message.role) {
+            case 'system':
+            case 'developer':
+                systemParts.push(...toParts(message.content, `${field}.content`));
+                break;
+            case 'user':
+                addTurn('user', toParts(message.content, `${field}.content`));
+                break;
+            case 'assistant': {
+                const parts = toParts(message.content, `${field}.content`);
+
+                (message.tool_calls || []).forEach((call, callIndex) => {
+                    const name = call.function?.name;
+                    toolCallNames.set(call.id, name);
+                    parts.push({
+                        functionCall: {
+                            name,
+                            args: parseArguments(call.function?.arguments, `${field}.tool_calls[${callIndex}].function.arguments`)
+                        }
+                    });
+                });
+
+                addTurn('model', parts);
+                break;
+            }
+            case 'tool': {
+                const name = toolCallNames.get(message.tool_call_id) || message.name;
+
+                if (!name) {
+                    throw new Error(`${field}.tool_call_id does not match a tool call from an earlier assistant message`);
+                }
+
+                addTurn('user', [{ functionResponse: { name, response: toFunctionResponse(message.content) } }]);
+                break;
+            }
+        }
+    });
+
+    const generationConfig = toGenerationConfig(body);
+
+    return {
+        model: body.model.replace(/^models\//, ''),
+        stream: Boolean(body.stream),
+        includeUsage: Boolean(body.stream_options?.include_usage),
+        request: compact({
+            contents,
+            systemInstruction: systemParts.length > 0 ? { parts: systemParts } : undefined,
+            generationConfig: Object.keys(generationConfig).length > 0 ? generationConfig : undefined,
+            tools: toTools(body.tools),
+            toolConfig: toToolConfig(body.tool_choice)
+        })
+    };
+}
+
+function toFinishReason(candidate) {
+    const parts = candidate.content?.parts || [];
+
+    if (parts.some(part => part.functionCall)) {
+        return 'tool_calls';
+    }
+
+    return FINISH_REASONS[candidate.finishReason] || 'stop';
+}
+
+function toToolCalls(parts, random) {
+    return parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({
+            index,
+            id: createId('call_', random),
+            type: 'function',
+            function: {
+                name: part.functionCall.name,
+                arguments: JSON.stringify(part.functionCall.args || {})
+            }
+        }));
+}
+
+function toText(parts) {
+    const texts = parts.filter(part => typeof part.text === 'string' && !part.thought);
+    return texts.length > 0 ? texts.map(part => part.text).join('') : null;
+}
+
+function toUsage(usageMetadata = {}) {
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const completionTokens = usageMetadata.candidatesTokenCount || 0;
+
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+/**
+ * @param {function(): number} [random] - The request's generator. A seeded one gives
+ *   seeded ids and the fixed seeded creation time
+ * @returns {{ id: string, model: string, created: number, random?: function }} Fields a
+ *   completion and all of its chunks share; random is kept for their tool call ids
+ */
+function createCompletionMeta(model, random) {
+    return {
+        id: createId('chatcmpl-', random),
+        model,
+        created: Math.floor(currentTime(random) / 1000),
+        random
+    };
+}
+
+/**
+ * Translates a generateContent response. A blocked prompt becomes a single choice
+ * with no content and finish_reason content_filter
+ */
+function toChatCompletion(response, meta) {
+    const candidates = response.candidates || [{ index: 0, finishReason: 'SAFETY' }];
+
+    return {
+        id: meta.id,
+        object: 'chat.completion',
+        created: meta.created,
+        model: meta.model,
+        choices: candidates.map(candidate => {
+            const parts = candidate.content?.parts || [];
+            const toolCalls = toToolCalls(parts, meta.random).map(({ index, ...call }) => call);
+
+            return {
+                index: candidate.index,
+                message: {
+                    role: 'assistant',
+                    content: toText(parts),
+                    ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+                },
+                finish_reason: toFinishReason(candidate)
+            };
+        }),
+        usage: toUsage(response.usageMetadata)
+    };
+}
+
+/**
+ * Translates one streamGenerateContent chunk. Every choice's first delta carries the role
+ */
+function toChatCompletionChunk(chunk, meta, isFirst) {
+    const candidates = chunk.candidates || [{ index: 0, finishReason: 'SAFETY' }];
+
+    return {
+        id: meta.id,
+        object: 'chat.completion.chunk',
+        created: meta.created,
+        model: meta.model,
+        choices: candidates.map(candidate => {
+            const parts = candidate.content?.parts || [];
+            const text = toText(parts);
+            const toolCalls = toToolCalls(parts, meta.random);
+
+            return {
+                index: candidate.index,
+                delta: {
+                    ...(isFirst && { role: 'assistant' }),
+                    ...(text !== null && { content: text }),
+                    ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+                },
+                finish_reason: candidate.finishReason ? toFinishReason(candidate) : null
+            };
+        })
+    };
+}
+
+/**
+ * The extra final chunk sent when stream_options.include_usage is set
+ */
+function toUsageChunk(usageMetadata, meta) {
+    return {
+        id: meta.id,
+        object: 'chat.completion.chunk',
+        created: meta.created,
+        model: meta.model,
+        choices: [],
+        usage: toUsage(usageMetadata)
+    };
+}
+
+function toModel(model) {
+    return {
+        id: model.name,
+        object: 'model',
+        created: 0,
+        owned_by: 'google'
+    };
+}
+
+module.exports = {
+    toGeminiRequest,
+    createCompletionMeta,
+    toChatCompletion,
+    toChatCompletionChunk,
+    toUsageChunk,
+    toModel
+};
@@ -0,0 +1,46 @@
+/**
+ * Pagination
+ * pageSize/pageToken handling shared by the mock's list endpoints. Page tokens are
+ * opaque offsets, so they stay valid only while the underlying list is unchanged
+ */
+
+/**
+ * Returns one page of items
+ * @param {Array} items - Full, stably ordered list
+ * @param {string|number} pageSize - Requested page size; 0 or missing means the default
+ * @param {string} pageToken - Token from a previous page
+ * @param {object} limits - { defaultSize, maxSize }
+ * @returns {{ items: Array, nextPageToken?: string }}
+ * @throws {Error} When pageSize or pageToken is invalid
+ */
+function paginate(items, pageSize, pageToken, { defaultSize, maxSize }) {
+    const size = pageSize === undefined ? defaultSize : Number(pageSize);
+
+    if (!Number.isInteger(size) || size < 0) {
+        throw new Error(`Invalid pageSize: ${pageSize}`);
+    }
+
+    let offset = 0;
+    if (pageToken) {
+        const match = /^offset:(\d+)$/.exec(Buffer.from(pageToken, 'base64url').toString());
+
+        if (!match || Number(match[1]) > items.length) {
+            throw new Error(`Invalid pageToken: ${pageToken}`);
+        }
+
+        offset = Number(match[1]);
+    }
+
+    const end = offset + Math.min(size || defaultSize, maxSize);
+    const page = { items: items.slice(offset, end) };
+
+    if (end < items.length) {
+        page.nextPageToken = Buffer.from(`offset:${end}`).toString('base64url');
+    }
+
+    return page;
+}
+
+module.exports = {
+    paginate
+};
@@ -0,0 +1,303 @@
+/**
+ * Quota Manager
+ * Simulates the API's tiered rate limits: requests per minute, input tokens per minute
+ * and requests per day, tracked separately for every API key and model
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const QUOTAS_FILE = path.join(__dirname, '../quotas.json');
+
+const MINUTE_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily quotas reset at midnight Pacific time, as the API's do
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+const RATE_LIMITS_URL = 'https://ai.google.dev/gemini-api/docs/rate-limits';
+
+const QUOTA_IDS = {
+    rpm: 'GenerateRequestsPerMinutePerProjectPerModel',
+    tpm: 'GenerateContentInputTokensPerModelPerMinute',
+    rpd: 'GenerateRequestsPerDayPerProjectPerModel'
+};
+
+const QUOTA_METRICS = {
+    rpm: 'requests',
+    tpm: 'input_token_count',
+    rpd: 'requests'
+};
+
+class QuotaManager {
+    /**
+     * @param {object} options - { file, config }; an inline config object takes the place of the file
+     */
+    constructor(options = {}) {
+        this.file = options.file || QUOTAS_FILE;
+        this.config = options.config || null;
+        this.usage = new Map();
+        this.load();
+    }
+
+    /**
+     * @throws {Error} When the default tier or a key's tier is not defined
+     */
+    load() {
+        const { defaultTier, tiers = {}, keys = {} } = this.config || JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+        for (const tier of [defaultTier, ...Object.values(keys)]) {
+            if (!tiers[tier]) {
+                throw new Error(`Unknown quota tier "${tier}" in ${this.config ? 'the quota config' : this.file}`);
+            }
+        }
+
+        this.defaultTier = defaultTier;
+        this.tiers = tiers;
+        this.keys = { ...keys };
+    }
+
+    getTier(apiKey) {
+        return this.keys[apiKey] || this.defaultTier;
+    }
+
+    /**
+     * Assigns a tier to a key; null returns the key to the default tier
+     * @throws {Error} When the tier is not defined
+     */
+    setKeyTier(apiKey, tier) {
+        if (tier === null) {
+            delete this.keys[apiKey];
+            return;
+        }
+
+        if (!this.tiers[tier]) {
+            throw new Error(`Unknown quota tier: ${tier} (available: ${Object.keys(this.tiers).join(', ')})`);
+        }
+
+        this.keys[apiKey] = tier;
+    }
+
+    getLimits(tier, model) {
+        const { models = {} } = this.tiers[tier];
+        return models[model] || models.default || {};
+    }
+
+    /**
+     * Counts a request against the key's quotas for the model, unless it would exceed one
+     * @param {string} apiKey - Key the request was made with
+     * @param {string} model - Model id without the models/ prefix
+     * @param {number} tokens - Input tokens the request uses
+     * @returns {{ limits: object, remaining: number, resetAt: number, violation?: object }}
+     *   violation holds the exceeded quota and how long to wait before retrying
+     */
+    consume(apiKey, model, tokens, now = Date.now()) {
+        const tier = this.getTier(apiKey);
+        const limits = this.getLimits(tier, model);
+        const usage = this.getUsage(apiKey, model, now);
+        const usedTokens = usage.minute.reduce((total, entry) => total + entry.tokens, 0);
+
+        let violation = null;
+
+        if (typeof limits.rpm === 'number' && usage.minute.length >= limits.rpm) {
+            violation = { quota: 'rpm', retryAfterMs: usage.minute[0].time + MINUTE_MS - now };
+        } else if (typeof limits.tpm === 'number' && usedTokens + tokens > limits.tpm) {
+            violation = { quota: 'tpm', retryAfterMs: this.tokenRetryDelay(usage.minute, usedTokens + tokens - limits.tpm, now) };
+        } else if (typeof limits.rpd === 'number' && usage.day.count >= limits.rpd) {
+            violation = { quota: 'rpd', retryAfterMs: usage.day.resetAt - now };
+        }
+
+        if (violation) {
+            Object.assign(violation, { tier, model, value: limits[violation.quota] });
+        } else {
+            usage.minute.push({ time: now, tokens });
+            usage.day.count++;
+        }
+
+        return {
+            limits,
+            remaining: typeof limits.rpm !== 'number' ? null : Math.max(limits.rpm - usage.minute.length, 0),
+            resetAt: usage.minute.length > 0 ? usage.minute[0].time + MINUTE_MS : now + MINUTE_MS,
+            ...(violation && { violation })
+        };
+    }
+
+    /**
+     * Time until enough of the last minute's tokens expire to fit the request. A request
+     * larger than the whole per-minute quota is told to wait a full minute
+     */
+    tokenRetryDelay(minute, excess, now) {
+        let freed = 0;
+
+        for (const entry of minute) {
+            freed += entry.tokens;
+            if (freed >= excess) {
+                return entry.time + MINUTE_MS - now;
+            }
+        }
+
+        return MINUTE_MS;
+    }
+
+    getUsage(apiKey, model, now) {
+        const usageKey = `${apiKey}\u0000${model}`;
+        const day = this.quotaDay(now);
+        let usage = this.usage.get(usageKey);
+
+        if (!usage) {
+            usage = { apiKey, model, minute: [], day: { ...day, count: 0 } };
+            this.usage.set(usageKey, usage);
+        }
+
+        usage.minute = usage.minute.filter(entry => entry.time > now - MINUTE_MS);
+
+        if (usage.day.date !== day.date) {
+            usage.day = { ...day, count: 0 };
+        }
+
+        return usage;
+    }
+
+    /**
+     * @returns {{ date: string, resetAt: number }} The current Pacific time date and the next midnight
+     */
+    quotaDay(now) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: QUOTA_TIME_ZONE,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(now)).map(part => [part.type, part.value]));
+
+        const sinceMidnight = ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000 + now % 1000;
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            resetAt: now - sinceMidnight + DAY_MS
+        };
+    }
+
+    reset() {
+        this.usage.clear();
+    }
+
+    getState() {
+        const now = Date.now();
+
+        return {
+            defaultTier: this.defaultTier,
+            tiers: this.tiers,
+            keys: this.keys,
+            usage: [...this.usage.values()].map(({ apiKey, model }) => {
+                const usage = this.getUsage(apiKey, model, now);
+
+                return {
+                    key: this.maskKey(apiKey),
+                    tier: this.getTier(apiKey),
+                    model,
+                    requestsLastMinute: usage.minute.length,
+                    tokensLastMinute: usage.minute.reduce((total, entry) => total + entry.tokens, 0),
+                    requestsToday: usage.day.count
+                };
+            })
+        };
+    }
+
+    /**
+     * Keys from the quota configuration are shown as is, any other key only in part
+     */
+    maskKey(apiKey) {
+        if (this.keys[apiKey]) {
+            return apiKey;
+        }
+
+        return apiKey.length > 8 ? `${apiKey.slice(0, 4)}...${apiKey.slice(-2)}` : '...';
+    }
+
+    /**
+     * Express middleware for model methods. Reads the key the auth middleware stored in
+     * req.apiKey and sets X-RateLimit-* headers on every response it lets through.
+     * Rejected requests keep the violation in req.quotaViolation. Requests on other paths
+     * that stand for a model method, such as chat completions, describe it in req.modelCall
+     * @param {function} countTokens - Returns the input tokens a request body uses
+     */
+    middleware(countTokens) {
+        return (req, res, next) => {
+            const match = req.path.match(/^\/models\/([^/:]+):(\w+)$/);
+            const call = req.modelCall || (match && { model: match[1], method: match[2], body: req.body });
+
+            if (!call || !req.apiKey) {
+                return next();
+            }
+
+            const { model, method } = call;
+            const tokens = method === 'countTokens' ? 0 : countTokens(call.body || {});
+            const result = this.consume(req.apiKey, model, tokens);
+
+            if (result.remaining !== null) {
+                res.set({
+                    'X-RateLimit-Limit': String(result.limits.rpm),
+                    'X-RateLimit-Remaining': String(result.remaining),
+                    'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+                });
+            }
+
+            if (!result.violation) {
+                return next();
+            }
+
+            req.quotaViolation = result.violation;
+            const retrySeconds = Math.max(Math.ceil(result.violation.retryAfterMs / 1000), 1);
+            res.set('Retry-After', String(retrySeconds));
+            res.status(429).json(this.buildError(result.violation, method, retrySeconds));
+        };
+    }
+
+    /**
+     * 429 body with the QuotaFailure, Help and RetryInfo details the API sends
+     */
+    buildError(violation, method, retrySeconds) {
+        const isFree = Boolean(this.tiers[violation.tier].free);
+        const prefix = /embed/i.test(method) ? 'embed_content' : 'generate_content';
+
+        return {
+            error: {
+                code: 429,
+                message: `You exceeded your current quota, please check your plan and billing details. For more information on this error, head to: ${RATE_LIMITS_URL}.`,
+                status: 'RESOURCE_EXHAUSTED',
+                details: [
+                    {
+                        '@type': 'type.googleapis.com/google.rpc.QuotaFailure',
+                        violations: [{
+                            quotaMetric: `generativelanguage.googleapis.com/${prefix}_${isFree ? 'free' : 'paid'}_tier_${QUOTA_METRICS[violation.quota]}`,
+                            quotaId: `${QUOTA_IDS[violation.quota]}${isFree ? '-FreeTier' : ''}`,
+                            quotaDimensions: {
+                                location: 'global',
+                                model: violation.model
+                            },
+                            quotaValue: String(violation.value)
+                        }]
+                    },
+                    {
+                        '@type': 'type.googleapis.com/google.rpc.Help',
+                        links: [{
+                            description: 'Learn more about Gemini API quotas',
+                            url: RATE_LIMITS_URL
+                        }]
+                    },
+                    {
+                        '@type': 'type.googleapis.com/google.rpc.RetryInfo',
+                        retryDelay: `${retrySeconds}s`
+                    }
+                ]
+            }
+        };
+    }
+}
+
+module.exports = QuotaManager;
@@ -0,0 +1,55 @@
+/**
+ * Seeded Random Numbers
+ * Small deterministic PRNG so mock responses, delays and injected faults can be reproduced
+ */
+
+// Seeded runs read this fixed time instead of the clock, so timestamps in responses repeat
+const SEEDED_TIME_MS = Date.UTC(2025, 0, 1);
+
+function hashSeed(value) {
+    const text = String(value);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Returns a Math.random-compatible function (mulberry32) seeded from any string or number
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Whether a generator is seeded; unseeded requests draw from Math.random
+ */
+function isSeeded(random) {
+    return typeof random === 'function' && random !== Math.random;
+}
+
+/**
+ * Returns the time to stamp a response with: the fixed seeded time for a seeded
+ * generator, the real time otherwise
+ */
+function currentTime(random) {
+    return isSeeded(random) ? SEEDED_TIME_MS : Date.now();
+}
+
+module.exports = {
+    createRandom,
+    isSeeded,
+    currentTime
+};
@@ -0,0 +1,209 @@
+/**
+ * Record and Replay
+ * Proxies mock server traffic to a real upstream API and stores the exchanges in
+ * cassette files, or answers requests from a cassette without touching the network
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const CASSETTES_DIR = path.join(__dirname, '../cassettes');
+
+const DEFAULT_UPSTREAM = 'https://generativelanguage.googleapis.com';
+
+const REDACTED = 'REDACTED';
+
+const SECRET_HEADERS = ['x-goog-api-key', 'x-api-key', 'authorization'];
+
+const MODES = ['mock', 'record', 'replay'];
+
+class RecordReplay {
+    constructor(options = {}) {
+        this.mode = options.mode || 'mock';
+        this.upstream = (options.upstream || DEFAULT_UPSTREAM).replace(/\/$/, '');
+        this.cassetteName = options.cassette || 'default';
+        this.cassettePath = path.isAbsolute(this.cassetteName) ?
+            this.cassetteName :
+            path.join(CASSETTES_DIR, `${this.cassetteName}.json`);
+        this.replayCursors = {};
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown mode: ${this.mode} (expected one of ${MODES.join(', ')})`);
+        }
+
+        this.cassette = this.loadCassette();
+    }
+
+    loadCassette() {
+        if (fs.existsSync(this.cassettePath)) {
+            return JSON.parse(fs.readFileSync(this.cassettePath, 'utf8'));
+        }
+
+        if (this.mode === 'replay') {
+            throw new Error(`Cassette not found: ${this.cassettePath}`);
+        }
+
+        return {
+            name: path.basename(this.cassettePath, '.json'),
+            upstream: this.upstream,
+            interactions: []
+        };
+    }
+
+    saveCassette() {
+        fs.mkdirSync(path.dirname(this.cassettePath), { recursive: true });
+        fs.writeFileSync(this.cassettePath, JSON.stringify(this.cassette, null, 2));
+    }
+
+    /**
+     * Express middleware: a no-op in mock mode, otherwise proxies or replays every request
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (this.mode === 'record') {
+                return this.record(req, res).catch(next);
+            }
+
+            if (this.mode === 'replay') {
+                return this.replay(req, res);
+            }
+
+            next();
+        };
+    }
+
+    async record(req, res) {
+        const apiKey = req.query.key || req.headers['x-goog-api-key'] || req.headers['x-api-key'];
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (req.headers.authorization) {
+            headers.Authorization = req.headers.authorization;
+        }
+
+        const query = { ...req.query };
+        delete query.key;
+
+        const upstreamResponse = await axios({
+            method: req.method,
+            url: `${this.upstream}${req.baseUrl}${req.path}`,
+            params: apiKey ? { ...query, key: apiKey } : query,
+            headers,
+            data: req.method === 'GET' ? undefined : req.body,
+            responseType: 'text',
+            transformResponse: [data => data],
+            validateStatus: () => true
+        });
+
+        const contentType = upstreamResponse.headers['content-type'] || 'application/json';
+        const bodyText = this.redact(upstreamResponse.data, apiKey);
+
+        this.cassette.interactions.push({
+            request: {
+                method: req.method,
+                path: `${req.baseUrl}${req.path}`,
+                query,
+                headers: this.redactHeaders(req.headers),
+                body: req.method === 'GET' ? undefined : req.body,
+                matchKey: this.matchKey(req)
+            },
+            response: {
+                status: upstreamResponse.status,
+                headers: { 'content-type': contentType },
+                ...this.encodeBody(bodyText, contentType)
+            },
+            recordedAt: new Date().toISOString()
+        });
+        this.cassette.recordedAt = new Date().toISOString();
+        this.saveCassette();
+
+        res.status(upstreamResponse.status).type(contentType).send(bodyText);
+    }
+
+    replay(req, res) {
+        const key = this.matchKey(req);
+        const matches = this.cassette.interactions.filter(interaction => interaction.request.matchKey === key);
+
+        if (matches.length === 0) {
+            return res.status(404).json({
+                error: {
+                    code: 404,
+                    message: `No recorded interaction in cassette "${this.cassette.name}" matches ${req.method} ${req.baseUrl}${req.path}`,
+                    status: 'NOT_FOUND'
+                }
+            });
+        }
+
+        // Repeated identical requests walk through the recordings in order, then stick to the last one
+        const cursor = this.replayCursors[key] || 0;
+        const interaction = matches[Math.min(cursor, matches.length - 1)];
+        this.replayCursors[key] = cursor + 1;
+
+        const { status, headers, body, bodyText } = interaction.response;
+        res.status(status).type(headers['content-type']).send(bodyText !== undefined ? bodyText : JSON.stringify(body));
+    }
+
+    /**
+     * Requests match on HTTP method, path (model and method included), query without
+     * the API key and a key-order-independent hash of the JSON body
+     */
+    matchKey(req) {
+        const query = { ...req.query };
+        delete query.key;
+
+        const body = req.method === 'GET' ? null : req.body;
+        const digest = crypto.createHash('sha256')
+            .update(this.canonicalize({ query, body }))
+            .digest('hex')
+            .slice(0, 16);
+
+        return `${req.method} ${req.baseUrl}${req.path} ${digest}`;
+    }
+
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    redact(text, apiKey) {
+        return apiKey ? String(text).split(apiKey).join(REDACTED) : String(text);
+    }
+
+    redactHeaders(headers) {
+        const result = { 'content-type': headers['content-type'] };
+
+        for (const name of SECRET_HEADERS) {
+            if (headers[name]) {
+                result[name] = REDACTED;
+            }
+        }
+
+        return result;
+    }
+
+    encodeBody(text, contentType) {
+        // Plain JSON bodies are stored parsed so cassettes stay readable and editable
+        if (contentType.includes('application/json')) {
+            try {
+                return { body: JSON.parse(text) };
+            } catch (error) {
+                // Streamed or partial JSON is kept verbatim
+            }
+        }
+
+        return { bodyText: text };
+    }
+}
+
+module.exports = RecordReplay;
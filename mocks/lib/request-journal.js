@@ -0,0 +1,443 @@
+/**
+ * Request Journal
+ * Keeps the requests the mock has answered, with bodies, headers and timings, so
+ * tests can assert on what a client sent. Secrets are redacted before anything is stored
+ */
+
+const { HEX_ALPHABET, createId } = require('./ids');
+
+const MAX_ENTRIES = 1000;
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const DEFAULT_WAIT_MS = 5000;
+
+const MAX_WAIT_MS = 60000;
+
+const REDACTED = 'REDACTED';
+
+const SECRET_HEADERS = ['x-goog-api-key', 'x-api-key', 'key', 'authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+const SECRET_PARAMS = ['key', 'access_token'];
+
+// Body fields that hold credentials, compared in lower case
+const SECRET_FIELDS = ['api_key', 'apikey', 'access_token', 'accesstoken', 'authorization'];
+
+const FILTERS = ['route', 'model', 'method', 'status', 'path'];
+
+class RequestJournal {
+    constructor(options = {}) {
+        this.limit = options.limit || MAX_ENTRIES;
+        this.entries = [];
+        this.waiters = [];
+    }
+
+    /**
+     * Express middleware: records each request once its response has finished.
+     * Admin, health check and metrics traffic is left out. A request the journal
+     * cannot record is still served
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!req.path.startsWith('/__admin') && req.path !== '/health' && req.path !== '/metrics') {
+                try {
+                    this.track(req, res);
+                } catch (error) {
+                    // Left out of the journal
+                }
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * Captures the request now and its response as it is written, adding the entry when
+     * the response finishes
+     */
+    track(req, res) {
+        const path = req.path;
+        const description = this.describeRequest(req);
+        const startedAt = Date.now();
+        const secrets = this.findSecrets(req);
+        const hasBody = Number(req.headers['content-length']) > 0 || req.headers['transfer-encoding'] !== undefined;
+        const requestBody = hasBody ? this.captureRequestBody(req, secrets) : undefined;
+        const chunks = [];
+        let capturedBytes = 0;
+        let firstByteAt = null;
+
+        const capture = chunk => {
+            firstByteAt = firstByteAt || Date.now();
+
+            if (chunk && typeof chunk !== 'function' && capturedBytes < MAX_BODY_BYTES) {
+                const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+                chunks.push(buffer);
+                capturedBytes += buffer.length;
+            }
+        };
+
+        const write = res.write;
+        const end = res.end;
+
+        res.write = function (chunk, ...args) {
+            capture(chunk);
+            return write.call(this, chunk, ...args);
+        };
+
+        res.end = function (chunk, ...args) {
+            capture(chunk);
+            return end.call(this, chunk, ...args);
+        };
+
+        let recorded = false;
+        const record = () => {
+            if (recorded) {
+                return;
+            }
+            recorded = true;
+
+            try {
+                this.add(buildEntry());
+            } catch (error) {
+                // Left out of the journal
+            }
+        };
+
+        const buildEntry = () => {
+            const finishedAt = Date.now();
+            const responseBody = this.parseBody(Buffer.concat(chunks).toString(), res.getHeader('content-type'));
+
+            return {
+                id: createId(id => this.entries.some(entry => entry.id === id), req.random, { alphabet: HEX_ALPHABET, length: 16 }),
+                requestId: req.id,
+                ...description,
+                method: req.method,
+                path,
+                query: this.redactQuery(req.query),
+                headers: this.redactHeaders(req.headers),
+                body: requestBody,
+                response: {
+                    status: res.statusCode,
+                    headers: this.redactHeaders(res.getHeaders()),
+                    body: this.redactBody(responseBody, secrets),
+                    ...(capturedBytes >= MAX_BODY_BYTES && { truncated: true }),
+                    ...(!res.writableFinished && { aborted: true })
+                },
+                timings: {
+                    startedAt: new Date(startedAt).toISOString(),
+                    waitMs: (firstByteAt || finishedAt) - startedAt,
+                    receiveMs: finishedAt - (firstByteAt || finishedAt),
+                    durationMs: finishedAt - startedAt
+                }
+            };
+        };
+
+        res.on('finish', record);
+        res.on('close', record);
+    }
+
+    add(entry) {
+        this.entries.push(entry);
+
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+
+        this.waiters = this.waiters.filter(waiter => !waiter.check());
+    }
+
+    /**
+     * @param {object} filter - Any of route, model, method, status and path (a substring)
+     * @returns {object[]} Matching entries, oldest first
+     */
+    find(filter = {}) {
+        return this.entries.filter(entry => this.matches(entry, filter));
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    matches(entry, filter) {
+        return FILTERS.every(name => {
+            const expected = filter[name];
+
+            if (expected === undefined || expected === '') {
+                return true;
+            }
+
+            switch (name) {
+                case 'method':
+                    return entry.method === String(expected).toUpperCase();
+                case 'status':
+                    return entry.response.status === Number(expected);
+                case 'path':
+                    return entry.path.includes(expected);
+                case 'model':
+                    return entry.model === String(expected).replace(/^models\//, '');
+                default:
+                    return entry[name] === expected;
+            }
+        });
+    }
+
+    /**
+     * Resolves once at least count entries match the filter
+     * @param {object} filter - Same filters as find
+     * @param {number} count - Entries to wait for
+     * @param {number} timeout - Milliseconds before giving up, at most one minute
+     * @returns {Promise<object[]>} Matching entries
+     * @throws {Error} When the timeout passes first; error.entries holds what did match
+     */
+    waitFor(filter, count, timeout = DEFAULT_WAIT_MS) {
+        const limit = Math.min(timeout, MAX_WAIT_MS);
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                reject,
+                check: () => {
+                    const entries = this.find(filter);
+                    if (entries.length < count) {
+                        return false;
+                    }
+
+                    clearTimeout(waiter.timer);
+                    resolve(entries);
+                    return true;
+                }
+            };
+
+            if (waiter.check()) {
+                return;
+            }
+
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(other => other !== waiter);
+
+                const entries = this.find(filter);
+                const error = new Error(`Timed out after ${limit}ms waiting for ${count} matching requests, saw ${entries.length}`);
+                error.entries = entries;
+                reject(error);
+            }, limit);
+
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Fails every pending wait, for when the server shuts down
+     */
+    cancelWaits() {
+        for (const waiter of this.waiters) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('The mock server is shutting down'));
+        }
+
+        this.waiters = [];
+    }
+
+    /**
+     * Clears the journal. Pending waits keep waiting for new requests
+     */
+    reset() {
+        this.entries = [];
+    }
+
+    describeRequest(req) {
+        // Mounted middleware strips its mount path from req.path
+        const path = req.baseUrl + req.path;
+
+        // /models/{model}:{method} for generation routes, openai/... for the OpenAI-compatible
+        // ones, the resource name otherwise
+        const match = path.match(/\/models\/([^/:]+):(\w+)$/);
+
+        if (match) {
+            return { route: match[2], model: match[1] };
+        }
+
+        const compat = path.match(/\/openai\/(chat\/completions|models)(?:\/(.+))?$/);
+
+        if (compat) {
+            const model = compat[2] || (typeof req.body?.model === 'string' ? req.body.model : null);
+            return { route: `openai/${compat[1]}`, model: model && model.replace(/^models\//, '') };
+        }
+
+        const segments = path.split('/').filter(Boolean);
+        const route = segments[0] === 'upload' ? 'upload' : segments[1] || segments[0] || '';
+
+        return { route, model: route === 'models' && segments[2] ? segments[2] : null };
+    }
+
+    /**
+     * API keys and bearer tokens sent with the request, to scrub from stored bodies
+     */
+    findSecrets(req) {
+        return [
+            ...SECRET_PARAMS.map(name => req.query[name]),
+            ...SECRET_HEADERS.map(name => String(req.headers[name] || '').replace(/^Bearer\s+/i, ''))
+        ].filter(secret => typeof secret === 'string' && secret.length > 0);
+    }
+
+    captureRequestBody(req, secrets) {
+        const { body } = req;
+
+        // Uploaded media is summarised rather than kept. Media streamed to disk has not
+        // been read yet, so its declared length stands in
+        if (Buffer.isBuffer(body) || body === undefined) {
+            const size = Buffer.isBuffer(body) ? body.length : Number(req.headers['content-length']);
+            return size > 0 ? { size } : undefined;
+        }
+
+        return this.redactValue(body, secrets);
+    }
+
+    parseBody(text, contentType) {
+        if (!text) {
+            return undefined;
+        }
+
+        if (String(contentType || '').includes('application/json')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Redacts a parsed response body. Streamed responses are redacted event by event
+     */
+    redactBody(body, secrets) {
+        if (typeof body !== 'string') {
+            return this.redactValue(body, secrets);
+        }
+
+        return body.replace(/^data: (.+)$/gm, (line, payload) => {
+            try {
+                return `data: ${JSON.stringify(this.redactValue(JSON.parse(payload), secrets))}`;
+            } catch (error) {
+                return line;
+            }
+        });
+    }
+
+    /**
+     * Copies a parsed JSON value with credential fields, and strings that are exactly one
+     * of the secrets, replaced. Secrets inside longer strings are left alone, so short keys
+     * cannot corrupt the rest of the body
+     */
+    redactValue(value, secrets) {
+        if (typeof value === 'string') {
+            return secrets.includes(value.replace(/^Bearer\s+/i, '')) ? REDACTED : value;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactValue(item, secrets));
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, nested]) =>
+                [name, SECRET_FIELDS.includes(name.toLowerCase()) ? REDACTED : this.redactValue(nested, secrets)]));
+        }
+
+        return value;
+    }
+
+    redactQuery(query) {
+        const result = { ...query };
+
+        for (const name of SECRET_PARAMS) {
+            if (result[name] !== undefined) {
+                result[name] = REDACTED;
+            }
+        }
+
+        return result;
+    }
+
+    redactHeaders(headers) {
+        const result = {};
+
+        for (const [name, value] of Object.entries(headers)) {
+            result[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+        }
+
+        return result;
+    }
+
+    /**
+     * Formats entries as an HTTP Archive (HAR 1.2) log
+     * @param {object[]} entries - Journal entries
+     * @param {string} baseUrl - Scheme and host used to build request URLs
+     */
+    toHar(entries, baseUrl) {
+        const toPairs = object => Object.entries(object).map(([name, value]) => ({
+            name,
+            value: Array.isArray(value) ? value.join(', ') : String(value)
+        }));
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'Gemini Mock Server', version: '1.0.0' },
+                entries: entries.map(entry => {
+                    const query = new URLSearchParams(entry.query).toString();
+                    const requestHeaders = toPairs(entry.headers);
+                    const responseText = entry.response.body === undefined ? '' :
+                        typeof entry.response.body === 'string' ? entry.response.body : JSON.stringify(entry.response.body);
+
+                    const request = {
+                        method: entry.method,
+                        url: `${baseUrl}${entry.path}${query ? `?${query}` : ''}`,
+                        httpVersion: 'HTTP/1.1',
+                        cookies: [],
+                        headers: requestHeaders,
+                        queryString: toPairs(entry.query),
+                        headersSize: -1,
+                        bodySize: -1
+                    };
+
+                    if (entry.body !== undefined) {
+                        request.postData = {
+                            mimeType: entry.headers['content-type'] || 'application/json',
+                            text: JSON.stringify(entry.body)
+                        };
+                    }
+
+                    return {
+                        startedDateTime: entry.timings.startedAt,
+                        time: entry.timings.durationMs,
+                        request,
+                        response: {
+                            status: entry.response.status,
+                            statusText: '',
+                            httpVersion: 'HTTP/1.1',
+                            cookies: [],
+                            headers: toPairs(entry.response.headers),
+                            content: {
+                                size: Buffer.byteLength(responseText),
+                                mimeType: entry.response.headers['content-type'] || '',
+                                text: responseText
+                            },
+                            redirectURL: '',
+                            headersSize: -1,
+                            bodySize: -1
+                        },
+                        cache: {},
+                        timings: {
+                            send: 0,
+                            wait: entry.timings.waitMs,
+                            receive: entry.timings.receiveMs
+                        },
+                        comment: entry.route
+                    };
+                })
+            }
+        };
+    }
+}
+
+module.exports = RequestJournal;
@@ -0,0 +1,588 @@
+/**
+ * Request Validator
+ * Checks generateContent request bodies the way the real API does and reports
+ * problems as google.rpc.BadRequest field violations
+ */
+
+const { validateSchema } = require('./structured-output');
+const { readInlineData } = require('./images');
+
+const VALID_ROLES = ['user', 'model', 'function'];
+
+const HARM_CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT',
+    'HARM_CATEGORY_CIVIC_INTEGRITY'
+];
+
+const HARM_THRESHOLDS = [
+    'HARM_BLOCK_THRESHOLD_UNSPECIFIED',
+    'BLOCK_LOW_AND_ABOVE',
+    'BLOCK_MEDIUM_AND_ABOVE',
+    'BLOCK_ONLY_HIGH',
+    'BLOCK_NONE',
+    'OFF'
+];
+
+const RESPONSE_MIME_TYPES = ['text/plain', 'application/json', 'text/x.enum'];
+
+const FUNCTION_CALLING_MODES = ['MODE_UNSPECIFIED', 'AUTO', 'ANY', 'NONE', 'VALIDATED'];
+
+// Known fields per message, keyed by their proto (snake_case) name; camelCase is accepted too
+const KNOWN_FIELDS = {
+    request: ['model', 'contents', 'system_instruction', 'generation_config', 'safety_settings', 'tools', 'tool_config', 'cached_content'],
+    cachedContent: ['model', 'display_name', 'contents', 'system_instruction', 'tools', 'tool_config', 'ttl', 'expire_time'],
+    content: ['role', 'parts'],
+    part: ['text', 'inline_data', 'file_data', 'function_call', 'function_response', 'executable_code', 'code_execution_result', 'thought', 'thought_signature', 'video_metadata'],
+    generationConfig: [
+        'temperature', 'top_p', 'top_k', 'candidate_count', 'max_output_tokens', 'stop_sequences',
+        'response_mime_type', 'response_schema', 'response_json_schema', 'presence_penalty', 'frequency_penalty',
+        'seed', 'response_logprobs', 'logprobs', 'response_modalities', 'thinking_config', 'speech_config',
+        'media_resolution', 'enable_enhanced_civic_answers'
+    ],
+    safetySetting: ['category', 'threshold'],
+    tool: ['function_declarations', 'code_execution', 'google_search', 'google_search_retrieval', 'url_context'],
+    functionDeclaration: ['name', 'description', 'parameters', 'parameters_json_schema', 'response', 'behavior'],
+    toolConfig: ['function_calling_config'],
+    functionCallingConfig: ['mode', 'allowed_function_names']
+};
+
+// Part fields that hold the part's data; exactly one must be set
+const PART_DATA_FIELDS = ['text', 'inline_data', 'file_data', 'function_call', 'function_response', 'executable_code', 'code_execution_result'];
+
+const SCHEMA_TYPES = ['STRING', 'NUMBER', 'INTEGER', 'BOOLEAN', 'ARRAY', 'OBJECT', 'NULL'];
+
+const FUNCTION_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/;
+
+function toSnakeCase(name) {
+    return name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+function toCamelCase(name) {
+    return name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Reads a field that may be sent in snake_case or camelCase
+ */
+function getField(object, snakeName) {
+    if (!object) {
+        return undefined;
+    }
+    return object[snakeName] !== undefined ? object[snakeName] : object[toCamelCase(snakeName)];
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class RequestValidator {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.violations = [];
+    }
+
+    add(field, description) {
+        this.violations.push({ field: `${this.prefix}${field}`, description });
+    }
+
+    checkUnknownFields(object, known, field) {
+        for (const key of Object.keys(object)) {
+            if (!known.includes(toSnakeCase(key))) {
+                const path = field ? `${field}.${key}` : key;
+                this.add(path, `Invalid JSON payload received. Unknown name "${key}"${field ? ` at '${field}'` : ''}: Cannot find field.`);
+            }
+        }
+    }
+
+    checkNumber(value, field, { min, max, integer = false, exclusiveMin = false }) {
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value !== 'number' || Number.isNaN(value) || (integer && !Number.isInteger(value))) {
+            this.add(field, `${field} must be ${integer ? 'an integer' : 'a number'}`);
+            return;
+        }
+        if ((min !== undefined && (exclusiveMin ? value <= min : value < min)) || (max !== undefined && value > max)) {
+            const lower = exclusiveMin ? `(${min}` : `[${min}`;
+            const upper = max !== undefined ? `${max}]` : 'inf)';
+            this.add(field, `${field} must be in the range ${lower}, ${upper}, got ${value}`);
+        }
+    }
+
+    validate(body) {
+        if (!isPlainObject(body)) {
+            this.add('', 'Request body must be a JSON object');
+            return this.violations;
+        }
+
+        this.checkUnknownFields(body, KNOWN_FIELDS.request, '');
+        this.validateContents(getField(body, 'contents'));
+        this.validatePromptFields(body);
+
+        const cachedContent = getField(body, 'cached_content');
+        if (cachedContent !== undefined && (typeof cachedContent !== 'string' || !cachedContent)) {
+            this.add('cached_content', `Invalid value at 'cached_content': expected a cachedContents/{id} name`);
+        }
+
+        this.validateGenerationConfig(getField(body, 'generation_config'));
+        this.validateSafetySettings(getField(body, 'safety_settings'));
+
+        return this.violations;
+    }
+
+    /**
+     * CachedContent bodies hold the same prompt fields, but contents are optional
+     * and there is no generation config
+     */
+    validateCachedContent(body) {
+        if (!isPlainObject(body)) {
+            this.add('', 'Request body must be a JSON object');
+            return this.violations;
+        }
+
+        this.checkUnknownFields(body, KNOWN_FIELDS.cachedContent, '');
+
+        if (!body.model) {
+            this.add('model', 'model is required');
+        }
+
+        const contents = getField(body, 'contents');
+        if (contents !== undefined) {
+            this.validateContents(contents, true);
+        } else if (getField(body, 'system_instruction') === undefined) {
+            this.add('contents', 'Either contents or system_instruction must be specified');
+        }
+
+        this.validatePromptFields(body);
+
+        return this.violations;
+    }
+
+    /**
+     * System instruction, tools and tool config, common to both request kinds
+     */
+    validatePromptFields(body) {
+        const systemInstruction = getField(body, 'system_instruction');
+        if (systemInstruction !== undefined) {
+            this.validateContent(systemInstruction, 'system_instruction', false);
+        }
+
+        const declaredFunctions = this.validateTools(getField(body, 'tools'));
+        this.validateToolConfig(getField(body, 'tool_config'), declaredFunctions);
+    }
+
+    validateContents(contents, allowModelLast = false) {
+        if (contents === undefined || (Array.isArray(contents) && contents.length === 0)) {
+            this.add('contents', 'contents is not specified');
+            return;
+        }
+        if (!Array.isArray(contents)) {
+            this.add('contents', 'contents must be an array');
+            return;
+        }
+
+        contents.forEach((content, index) => this.validateContent(content, `contents[${index}]`, true));
+
+        // Turns must alternate between the user side (user/function) and the model
+        const side = role => (role === 'model' ? 'model' : 'user');
+        for (let i = 1; i < contents.length; i++) {
+            const previous = contents[i - 1] && contents[i - 1].role;
+            const current = contents[i] && contents[i].role;
+
+            if (previous && current && side(previous) === side(current)) {
+                this.add(`contents[${i}].role`, 'Please ensure that multiturn requests alternate between user and model.');
+            }
+        }
+
+        const last = contents[contents.length - 1];
+        if (!allowModelLast && contents.length > 1 && last && last.role === 'model') {
+            this.add(`contents[${contents.length - 1}].role`, 'Please ensure that multiturn requests end with a user role or a function response.');
+        }
+    }
+
+    validateContent(content, field, requireRole) {
+        if (!isPlainObject(content)) {
+            this.add(field, `${field} must be an object`);
+            return;
+        }
+
+        this.checkUnknownFields(content, KNOWN_FIELDS.content, field);
+
+        if (content.role !== undefined && (requireRole ? !VALID_ROLES.includes(content.role) : content.role !== 'user' && content.role !== 'system')) {
+            this.add(`${field}.role`, `Please use a valid role: ${VALID_ROLES.join(', ')}.`);
+        }
+
+        if (!Array.isArray(content.parts) || content.parts.length === 0) {
+            this.add(`${field}.parts`, 'contents.parts must not be empty.');
+            return;
+        }
+
+        content.parts.forEach((part, index) => this.validatePart(part, `${field}.parts[${index}]`));
+    }
+
+    validatePart(part, field) {
+        if (!isPlainObject(part)) {
+            this.add(field, `${field} must be an object`);
+            return;
+        }
+
+        this.checkUnknownFields(part, KNOWN_FIELDS.part, field);
+
+        const dataFields = PART_DATA_FIELDS.filter(name => getField(part, name) !== undefined);
+        if (dataFields.length !== 1) {
+            this.add(field, dataFields.length === 0 ?
+                "required oneof field 'data' must have one initialized field" :
+                `oneof field 'data' is already set. Cannot set '${dataFields[1]}'`);
+            return;
+        }
+
+        // Text is a string; every other kind of data is a message
+        const [dataField] = dataFields;
+        const data = getField(part, dataField);
+        if (dataField === 'text' ? typeof data !== 'string' : !isPlainObject(data)) {
+            this.add(`${field}.${dataField}`, `Invalid value at '${field}.${dataField}': expected ${dataField === 'text' ? 'a string' : 'an object'}`);
+            return;
+        }
+
+        if (dataField === 'inline_data') {
+            const mimeType = getField(data, 'mime_type');
+            const bytes = getField(data, 'data');
+
+            if (!mimeType || !bytes) {
+                this.add(`${field}.inline_data`, 'inline_data requires both mime_type and data');
+            } else if (typeof mimeType !== 'string' || typeof bytes !== 'string') {
+                this.add(`${field}.inline_data`, 'inline_data.mime_type and inline_data.data must be strings');
+            } else {
+                const { error } = readInlineData(data);
+                if (error) {
+                    this.add(`${field}.inline_data.data`, error);
+                }
+            }
+        }
+
+        if (dataField === 'file_data' && (!getField(data, 'file_uri') || typeof getField(data, 'file_uri') !== 'string')) {
+            this.add(`${field}.file_data.file_uri`, 'file_uri is required');
+        }
+
+        if (dataField === 'function_call' || dataField === 'function_response') {
+            const payloadName = dataField === 'function_call' ? 'args' : 'response';
+            const payload = data[payloadName];
+
+            if (!data.name || typeof data.name !== 'string') {
+                this.add(`${field}.${dataField}.name`, 'Name cannot be empty.');
+            }
+            if (payload !== undefined && !isPlainObject(payload)) {
+                this.add(`${field}.${dataField}.${payloadName}`, `Invalid value at '${field}.${dataField}.${payloadName}': expected an object`);
+            }
+        }
+    }
+
+    validateGenerationConfig(config) {
+        if (config === undefined) {
+            return;
+        }
+        if (!isPlainObject(config)) {
+            this.add('generation_config', 'generation_config must be an object');
+            return;
+        }
+
+        const field = 'generation_config';
+        this.checkUnknownFields(config, KNOWN_FIELDS.generationConfig, field);
+
+        this.checkNumber(getField(config, 'temperature'), `${field}.temperature`, { min: 0, max: 2 });
+        this.checkNumber(getField(config, 'top_p'), `${field}.top_p`, { min: 0, max: 1 });
+        this.checkNumber(getField(config, 'top_k'), `${field}.top_k`, { min: 1, integer: true });
+        this.checkNumber(getField(config, 'candidate_count'), `${field}.candidate_count`, { min: 1, max: 8, integer: true });
+        this.checkNumber(getField(config, 'max_output_tokens'), `${field}.max_output_tokens`, { min: 1, integer: true });
+        this.checkNumber(getField(config, 'presence_penalty'), `${field}.presence_penalty`, { min: -2, max: 2 });
+        this.checkNumber(getField(config, 'frequency_penalty'), `${field}.frequency_penalty`, { min: -2, max: 2 });
+        this.checkNumber(getField(config, 'seed'), `${field}.seed`, { integer: true });
+
+        const stopSequences = getField(config, 'stop_sequences');
+        if (stopSequences !== undefined) {
+            if (!Array.isArray(stopSequences) || stopSequences.some(sequence => typeof sequence !== 'string')) {
+                this.add(`${field}.stop_sequences`, 'stop_sequences must be an array of strings');
+            } else if (stopSequences.length > 5) {
+                this.add(`${field}.stop_sequences`, `stop_sequences accepts at most 5 entries, got ${stopSequences.length}`);
+            }
+        }
+
+        const mimeType = getField(config, 'response_mime_type');
+        if (mimeType !== undefined && !RESPONSE_MIME_TYPES.includes(mimeType)) {
+            this.add(`${field}.response_mime_type`, `Unsupported response_mime_type: ${mimeType}. Allowed mimetypes are ${RESPONSE_MIME_TYPES.join(', ')}.`);
+        }
+
+        this.validateResponseSchema(config, mimeType);
+    }
+
+    validateResponseSchema(config, mimeType) {
+        const field = 'generation_config';
+        const schema = getField(config, 'response_schema');
+        const jsonSchema = getField(config, 'response_json_schema');
+
+        if (schema !== undefined && jsonSchema !== undefined) {
+            this.add(`${field}.response_json_schema`, 'response_schema and response_json_schema cannot both be set');
+        }
+
+        if (jsonSchema !== undefined && !isPlainObject(jsonSchema)) {
+            this.add(`${field}.response_json_schema`, 'response_json_schema must be an object');
+        }
+
+        if (jsonSchema !== undefined && mimeType !== 'application/json') {
+            this.add(`${field}.response_json_schema`, 'response_json_schema requires response_mime_type to be application/json');
+        }
+
+        if (schema === undefined) {
+            if (mimeType === 'text/x.enum') {
+                this.add(`${field}.response_schema`, 'response_schema is required when response_mime_type is text/x.enum');
+            }
+            return;
+        }
+
+        if (mimeType !== 'application/json' && mimeType !== 'text/x.enum') {
+            this.add(`${field}.response_schema`, 'response_schema requires response_mime_type to be application/json or text/x.enum');
+            return;
+        }
+
+        const violations = validateSchema(schema, `${field}.response_schema`);
+        violations.forEach(violation => this.add(violation.field, violation.description));
+
+        const isEnumSchema = schema && String(schema.type).toUpperCase() === 'STRING' && Array.isArray(schema.enum);
+        if (violations.length === 0 && mimeType === 'text/x.enum' && !isEnumSchema) {
+            this.add(`${field}.response_schema`, 'response_schema must be a STRING schema with enum values when response_mime_type is text/x.enum');
+        }
+    }
+
+    validateSafetySettings(settings) {
+        if (settings === undefined) {
+            return;
+        }
+        if (!Array.isArray(settings)) {
+            this.add('safety_settings', 'safety_settings must be an array');
+            return;
+        }
+
+        const seen = new Set();
+
+        settings.forEach((setting, index) => {
+            const field = `safety_settings[${index}]`;
+
+            if (!isPlainObject(setting)) {
+                this.add(field, `${field} must be an object`);
+                return;
+            }
+
+            this.checkUnknownFields(setting, KNOWN_FIELDS.safetySetting, field);
+
+            if (!HARM_CATEGORIES.includes(setting.category)) {
+                this.add(`${field}.category`, `Invalid value at '${field}.category': "${setting.category}"`);
+            } else if (seen.has(setting.category)) {
+                this.add(`${field}.category`, `Duplicate safety setting for category ${setting.category}`);
+            }
+            seen.add(setting.category);
+
+            if (!HARM_THRESHOLDS.includes(setting.threshold)) {
+                this.add(`${field}.threshold`, `Invalid value at '${field}.threshold': "${setting.threshold}"`);
+            }
+        });
+    }
+
+    /**
+     * @returns {string[]} Names of the declared functions, for toolConfig checks
+     */
+    validateTools(tools) {
+        const names = [];
+
+        if (tools === undefined) {
+            return names;
+        }
+        if (!Array.isArray(tools)) {
+            this.add('tools', 'tools must be an array');
+            return names;
+        }
+
+        tools.forEach((tool, toolIndex) => {
+            const field = `tools[${toolIndex}]`;
+
+            if (!isPlainObject(tool)) {
+                this.add(field, `${field} must be an object`);
+                return;
+            }
+
+            this.checkUnknownFields(tool, KNOWN_FIELDS.tool, field);
+
+            const declarations = getField(tool, 'function_declarations');
+            if (declarations === undefined) {
+                return;
+            }
+            if (!Array.isArray(declarations)) {
+                this.add(`${field}.function_declarations`, 'function_declarations must be an array');
+                return;
+            }
+
+            declarations.forEach((declaration, index) => {
+                const declarationField = `${field}.function_declarations[${index}]`;
+
+                if (!isPlainObject(declaration)) {
+                    this.add(declarationField, `${declarationField} must be an object`);
+                    return;
+                }
+
+                this.checkUnknownFields(declaration, KNOWN_FIELDS.functionDeclaration, declarationField);
+
+                if (!declaration.name || !FUNCTION_NAME_PATTERN.test(declaration.name)) {
+                    this.add(`${declarationField}.name`, 'Invalid function name. Must start with a letter or an underscore. Must be alphanumeric (a-z, A-Z, 0-9), underscores (_), dots (.) or dashes (-), with a maximum length of 64.');
+                } else if (names.includes(declaration.name)) {
+                    this.add(`${declarationField}.name`, `Duplicate function declaration: ${declaration.name}`);
+                } else {
+                    names.push(declaration.name);
+                }
+
+                const parameters = declaration.parameters;
+                if (parameters !== undefined && (!isPlainObject(parameters) || String(parameters.type).toLowerCase() !== 'object')) {
+                    this.add(`${declarationField}.parameters.type`, 'parameters must be a schema of type OBJECT');
+                } else if (parameters !== undefined) {
+                    this.validateParameterSchema(parameters, `${declarationField}.parameters`);
+                }
+            });
+        });
+
+        return names;
+    }
+
+    /**
+     * Checks the parts of a function's parameter schema that argument synthesis reads
+     */
+    validateParameterSchema(schema, field) {
+        if (!isPlainObject(schema)) {
+            this.add(field, `${field} must be a schema object`);
+            return;
+        }
+
+        if (typeof schema.type !== 'string' || !SCHEMA_TYPES.includes(schema.type.toUpperCase())) {
+            this.add(`${field}.type`, `Invalid value at '${field}.type': "${schema.type}"`);
+        }
+
+        if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+            this.add(`${field}.enum`, 'enum must be an array');
+        }
+
+        if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(name => typeof name !== 'string'))) {
+            this.add(`${field}.required`, 'required must be an array of property names');
+        }
+
+        if (schema.properties !== undefined) {
+            if (!isPlainObject(schema.properties)) {
+                this.add(`${field}.properties`, 'properties must be an object');
+            } else {
+                for (const [name, property] of Object.entries(schema.properties)) {
+                    this.validateParameterSchema(property, `${field}.properties[${name}]`);
+                }
+            }
+        }
+
+        if (schema.items !== undefined) {
+            this.validateParameterSchema(schema.items, `${field}.items`);
+        }
+    }
+
+    validateToolConfig(toolConfig, declaredFunctions) {
+        if (toolConfig === undefined) {
+            return;
+        }
+
+        const field = 'tool_config';
+        if (!isPlainObject(toolConfig)) {
+            this.add(field, `${field} must be an object`);
+            return;
+        }
+
+        this.checkUnknownFields(toolConfig, KNOWN_FIELDS.toolConfig, field);
+
+        const config = getField(toolConfig, 'function_calling_config');
+        if (config === undefined) {
+            return;
+        }
+
+        const configField = `${field}.function_calling_config`;
+        if (!isPlainObject(config)) {
+            this.add(configField, `${configField} must be an object`);
+            return;
+        }
+
+        this.checkUnknownFields(config, KNOWN_FIELDS.functionCallingConfig, configField);
+
+        const mode = config.mode || 'AUTO';
+        if (!FUNCTION_CALLING_MODES.includes(mode)) {
+            this.add(`${configField}.mode`, `Invalid value at '${configField}.mode': "${mode}"`);
+        }
+
+        const allowed = getField(config, 'allowed_function_names');
+        if (allowed === undefined) {
+            return;
+        }
+
+        if (mode !== 'ANY' && mode !== 'VALIDATED') {
+            this.add(`${configField}.allowed_function_names`, 'allowed_function_names should only be set when the Function Calling mode is ANY or VALIDATED.');
+        }
+
+        if (!Array.isArray(allowed) || allowed.some(name => typeof name !== 'string')) {
+            this.add(`${configField}.allowed_function_names`, 'allowed_function_names must be an array of strings');
+            return;
+        }
+
+        for (const name of allowed) {
+            if (!declaredFunctions.includes(name)) {
+                this.add(`${configField}.allowed_function_names`, `Function "${name}" is not declared in tools.`);
+            }
+        }
+    }
+}
+
+/**
+ * Validates a generateContent request body
+ * @param {object} body - Request body
+ * @param {string} prefix - Field path prefix, e.g. 'generate_content_request.' for countTokens
+ * @returns {object[]} Field violations, empty when the request is valid
+ */
+function validateGenerateContentRequest(body, prefix = '') {
+    return new RequestValidator(prefix).validate(body);
+}
+
+/**
+ * Validates a cachedContents.create body
+ * @returns {object[]} Field violations, empty when the request is valid
+ */
+function validateCachedContentRequest(body) {
+    return new RequestValidator('cached_content.').validateCachedContent(body);
+}
+
+/**
+ * Builds the INVALID_ARGUMENT error body the API returns for field violations
+ */
+function buildValidationError(violations, requestName = 'GenerateContentRequest') {
+    return {
+        error: {
+            code: 400,
+            message: violations
+                .map(violation => `* ${requestName}${violation.field ? `.${violation.field}` : ''}: ${violation.description}\n`)
+                .join(''),
+            status: 'INVALID_ARGUMENT',
+            details: [
+                {
+                    '@type': 'type.googleapis.com/google.rpc.BadRequest',
+                    fieldViolations: violations
+                }
+            ]
+        }
+    };
+}
+
+module.exports = {
+    validateGenerateContentRequest,
+    validateCachedContentRequest,
+    buildValidationError
+};
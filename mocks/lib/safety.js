@@ -0,0 +1,172 @@
+/**
+ * Safety Simulation
+ * Rates text per harm category from trigger terms and applies the request's
+ * safetySettings thresholds to decide whether a prompt or a response is blocked
+ */
+
+const PROBABILITIES = ['NEGLIGIBLE', 'LOW', 'MEDIUM', 'HIGH'];
+
+const CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+// Lowest probability each threshold blocks; null never blocks
+const THRESHOLDS = {
+    BLOCK_NONE: null,
+    OFF: null,
+    BLOCK_ONLY_HIGH: 'HIGH',
+    BLOCK_MEDIUM_AND_ABOVE: 'MEDIUM',
+    BLOCK_LOW_AND_ABOVE: 'LOW',
+    HARM_BLOCK_THRESHOLD_UNSPECIFIED: 'MEDIUM'
+};
+
+const DEFAULT_THRESHOLD = 'BLOCK_MEDIUM_AND_ABOVE';
+
+// Each entry lists the word forms of one term, matched as whole words, and the probability
+// the term implies on its own. Words with everyday meanings, such as "kill" or "hack",
+// are left out so ordinary prompts are not blocked
+const TRIGGER_TERMS = {
+    HARM_CATEGORY_HARASSMENT: {
+        'idiot|idiots|idiotic': 'LOW',
+        'stupid': 'LOW',
+        'loser|losers': 'LOW',
+        'insult|insults|insulting': 'LOW',
+        'humiliate|humiliated|humiliating|humiliation': 'MEDIUM',
+        'bully|bullies|bullied|bullying': 'MEDIUM',
+        'harass|harassed|harassing|harassment': 'MEDIUM',
+        'threaten|threatened|threatening': 'MEDIUM',
+        'stalk|stalked|stalking|stalker': 'MEDIUM'
+    },
+    HARM_CATEGORY_HATE_SPEECH: {
+        'hate|hates|hateful|hatred': 'LOW',
+        'bigot|bigots|bigoted|bigotry': 'LOW',
+        'discriminate|discriminating|discrimination|discriminatory': 'LOW',
+        'racist|racists': 'MEDIUM',
+        'slur|slurs': 'MEDIUM',
+        'supremacy|supremacist|supremacists': 'MEDIUM',
+        'genocide|genocidal': 'HIGH'
+    },
+    HARM_CATEGORY_SEXUALLY_EXPLICIT: {
+        'sexy': 'LOW',
+        'lingerie': 'LOW',
+        'nude|nudes|nudity': 'MEDIUM',
+        'nsfw': 'MEDIUM',
+        'erotic|erotica': 'MEDIUM',
+        'porn|porno|pornography|pornographic': 'HIGH'
+    },
+    HARM_CATEGORY_DANGEROUS_CONTENT: {
+        'weapon|weapons|weaponize|weaponized': 'LOW',
+        'poison|poisons|poisoned|poisonous': 'MEDIUM',
+        'explosive|explosives': 'MEDIUM',
+        'bomb|bombs|bombing': 'MEDIUM',
+        'malware': 'MEDIUM',
+        'ransomware': 'MEDIUM'
+    }
+};
+
+const TRIGGERS = Object.fromEntries(Object.entries(TRIGGER_TERMS).map(([category, terms]) => [
+    category,
+    Object.entries(terms).map(([forms, probability]) => ({
+        pattern: new RegExp(`\\b(?:${forms})\\b`),
+        probability
+    }))
+]));
+
+// Prompts asking for actionable detail make the answer riskier than the question
+const INSTRUCTION_PATTERN = /\b(how (do|to|can)|step[- ]by[- ]step|instructions?|recipe|detailed guide|teach me)\b/i;
+
+function levelOf(probability) {
+    return PROBABILITIES.indexOf(probability);
+}
+
+/**
+ * Returns the probability of each category for a piece of text
+ */
+function rateText(text) {
+    const lowerText = (text || '').toLowerCase();
+    const ratings = {};
+
+    for (const category of CATEGORIES) {
+        const levels = TRIGGERS[category]
+            .filter(({ pattern }) => pattern.test(lowerText))
+            .map(({ probability }) => levelOf(probability));
+
+        let level = levels.length > 0 ? Math.max(...levels) : 0;
+
+        // Several distinct triggers in one category raise the rating one step
+        if (levels.length > 1) {
+            level = Math.min(level + 1, PROBABILITIES.length - 1);
+        }
+
+        ratings[category] = level;
+    }
+
+    return ratings;
+}
+
+/**
+ * Rates a response, carrying over the risk of the prompt that produced it
+ */
+function rateResponse(responseText, promptText) {
+    const responseLevels = rateText(responseText);
+    const promptLevels = rateText(promptText);
+    const escalation = INSTRUCTION_PATTERN.test(promptText || '') ? 1 : 0;
+    const ratings = {};
+
+    for (const category of CATEGORIES) {
+        const carried = promptLevels[category] > 0 ?
+            Math.min(promptLevels[category] + escalation, PROBABILITIES.length - 1) :
+            0;
+        ratings[category] = Math.max(responseLevels[category], carried);
+    }
+
+    return ratings;
+}
+
+function getThresholds(safetySettings = []) {
+    const thresholds = {};
+
+    for (const category of CATEGORIES) {
+        const setting = safetySettings.find(entry => entry.category === category);
+        thresholds[category] = setting && setting.threshold in THRESHOLDS ? setting.threshold : DEFAULT_THRESHOLD;
+    }
+
+    return thresholds;
+}
+
+/**
+ * Applies thresholds to category levels
+ * @returns {{ safetyRatings: object[], blocked: boolean }}
+ */
+function evaluate(levels, safetySettings) {
+    const thresholds = getThresholds(safetySettings);
+    let blocked = false;
+
+    const safetyRatings = CATEGORIES.map(category => {
+        const minimum = THRESHOLDS[thresholds[category]];
+        const rating = {
+            category,
+            probability: PROBABILITIES[levels[category]]
+        };
+
+        if (minimum !== null && levels[category] >= levelOf(minimum)) {
+            rating.blocked = true;
+            blocked = true;
+        }
+
+        return rating;
+    });
+
+    return { safetyRatings, blocked };
+}
+
+module.exports = {
+    CATEGORIES,
+    THRESHOLDS,
+    rateText,
+    rateResponse,
+    evaluate
+};
@@ -0,0 +1,133 @@
+/**
+ * Search Index
+ * Offline stand-in for Google Search grounding. When the googleSearch tool is enabled,
+ * the mock answers from the pages that best match the prompt. It reports the query, the
+ * pages as grounding chunks and the answer segments each page supports, as the API does
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_FILE = path.join(__dirname, '../search-index.json');
+
+const MAX_RESULTS = 3;
+
+const STOP_WORDS = new Set([
+    'about', 'and', 'are', 'can', 'did', 'does', 'for', 'from', 'has', 'have', 'how', 'its',
+    'search', 'tell', 'that', 'the', 'this', 'was', 'were', 'what', 'when', 'where', 'which',
+    'who', 'why', 'with', 'you'
+]);
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+        .map(word => word.replace(/(?<=[a-z]{3})s$/, ''));
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+class SearchIndex {
+    constructor(options = {}) {
+        this.file = options.file || INDEX_FILE;
+        this.load();
+    }
+
+    load() {
+        const { pages = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+        this.pages = pages.map(page => ({
+            ...page,
+            titleWords: new Set(tokenize(page.title)),
+            words: new Set(tokenize(`${page.title} ${page.text}`))
+        }));
+    }
+
+    static isEnabled(tools = []) {
+        return tools.some(tool =>
+            tool.googleSearch || tool.google_search || tool.googleSearchRetrieval || tool.google_search_retrieval);
+    }
+
+    /**
+     * Pages ranked by how many of the query's words they contain, title words counting
+     * double. Pages scoring under half the best score are left out
+     * @returns {Array<{ page: object, score: number }>}
+     */
+    search(query, limit = MAX_RESULTS) {
+        const queryWords = [...new Set(tokenize(query))];
+        const results = this.pages
+            .map(page => ({
+                page,
+                score: queryWords.reduce((total, word) =>
+                    total + (page.titleWords.has(word) ? 2 : page.words.has(word) ? 1 : 0), 0)
+            }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+
+        return results
+            .filter(result => result.score * 2 >= results[0].score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Answers a prompt with the sentences that best match it: two from the best page and
+     * one from each other match
+     * @returns {{ text: string, groundingMetadata: object }|null} Null when no page matches
+     */
+    ground(prompt) {
+        const query = prompt.split('\n')[0].replace(/[?!.]+$/, '').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, 200);
+        const results = this.search(query);
+
+        if (results.length === 0) {
+            return null;
+        }
+
+        const queryWords = new Set(tokenize(query));
+        let text = '';
+
+        const matchCount = sentence => tokenize(sentence).filter(word => queryWords.has(word)).length;
+
+        // Segment offsets are in bytes of the UTF-8 text, as in the API
+        const groundingSupports = results.flatMap(({ page, score }, index) => {
+            const sentences = (page.text.match(/[^.!?]+[.!?]+(\s|$)/g) || [page.text]).map(sentence => sentence.trim());
+            const chosen = sentences
+                .map((sentence, position) => ({ sentence, position, matches: matchCount(sentence) }))
+                .sort((a, b) => b.matches - a.matches || a.position - b.position)
+                .slice(0, index === 0 ? 2 : 1)
+                .sort((a, b) => a.position - b.position);
+            const confidence = Math.round(Math.min(0.99, 0.5 + score / (2 * queryWords.size + 1)) * 100) / 100;
+
+            return chosen.map(({ sentence }) => {
+                if (text) {
+                    text += ' ';
+                }
+                const startIndex = Buffer.byteLength(text);
+                text += sentence;
+
+                return {
+                    segment: { startIndex, endIndex: Buffer.byteLength(text), text: sentence },
+                    groundingChunkIndices: [index],
+                    confidenceScores: [confidence]
+                };
+            });
+        });
+
+        return {
+            text,
+            groundingMetadata: {
+                searchEntryPoint: {
+                    renderedContent: `<div class="container"><div class="headline">Search suggestions</div>` +
+                        `<div class="carousel"><a class="chip" href="https://www.google.com/search?q=${encodeURIComponent(query)}">${escapeHtml(query)}</a></div></div>`
+                },
+                groundingChunks: results.map(({ page }) => ({
+                    web: { uri: page.url, title: new URL(page.url).hostname.replace(/^www\./, '') }
+                })),
+                groundingSupports,
+                webSearchQueries: [query]
+            }
+        };
+    }
+}
+
+module.exports = SearchIndex;
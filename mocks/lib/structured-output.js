@@ -0,0 +1,333 @@
+/**
+ * Structured Output
+ * Validates responseSchema (the API's OpenAPI subset) and synthesizes JSON documents
+ * or enum values that conform to it, for JSON-mode and text/x.enum requests
+ */
+
+const TYPES = ['STRING', 'NUMBER', 'INTEGER', 'BOOLEAN', 'ARRAY', 'OBJECT', 'NULL'];
+
+const SCHEMA_FIELDS = [
+    'type', 'format', 'title', 'description', 'nullable', 'enum', 'max_items', 'min_items',
+    'properties', 'required', 'min_properties', 'max_properties', 'min_length', 'max_length',
+    'pattern', 'example', 'any_of', 'property_ordering', 'default', 'items', 'minimum', 'maximum'
+];
+
+const STRING_FORMATS = ['enum', 'date-time', 'date', 'time', 'email', 'uri', 'uuid'];
+
+const WORDS = ['alpha', 'bright', 'cedar', 'delta', 'ember', 'fjord', 'granite', 'harbor', 'indigo', 'juniper', 'kestrel', 'lumen'];
+
+function toSnakeCase(name) {
+    return name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+function getField(schema, snakeName) {
+    const camelName = snakeName.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    return schema[snakeName] !== undefined ? schema[snakeName] : schema[camelName];
+}
+
+function isNameList(value) {
+    return Array.isArray(value) && value.every(name => typeof name === 'string');
+}
+
+/**
+ * Normalizes a schema type; JSON Schema style lowercase names and ['x', 'null'] unions are accepted
+ * @returns {string|null} Upper-case type name
+ */
+function readType(schema) {
+    let type = schema.type;
+
+    if (Array.isArray(type)) {
+        type = type.find(entry => String(entry).toUpperCase() !== 'NULL');
+    }
+
+    return type === undefined ? null : String(type).toUpperCase();
+}
+
+/**
+ * Checks a responseSchema the way the API does
+ * @param {object} schema - Schema to check
+ * @param {string} field - Field path used in violations, e.g. generation_config.response_schema
+ * @returns {object[]} Field violations
+ */
+function validateSchema(schema, field) {
+    const violations = [];
+    const add = (path, description) => violations.push({ field: path, description });
+
+    if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+        add(field, 'Schema must be an object');
+        return violations;
+    }
+
+    for (const key of Object.keys(schema)) {
+        if (!SCHEMA_FIELDS.includes(toSnakeCase(key))) {
+            add(`${field}.${key}`, `Invalid JSON payload received. Unknown name "${key}" at '${field}': Cannot find field.`);
+        }
+    }
+
+    const anyOf = getField(schema, 'any_of');
+    if (anyOf !== undefined) {
+        if (!Array.isArray(anyOf) || anyOf.length === 0) {
+            add(`${field}.any_of`, 'any_of must be a non-empty array of schemas');
+        } else {
+            anyOf.forEach((option, index) => violations.push(...validateSchema(option, `${field}.any_of[${index}]`)));
+        }
+        return violations;
+    }
+
+    const type = readType(schema);
+
+    if (!type) {
+        add(`${field}.type`, 'must be specified');
+        return violations;
+    }
+
+    if (!TYPES.includes(type)) {
+        add(`${field}.type`, `Invalid value at '${field}.type' (type.googleapis.com/google.ai.generativelanguage.v1beta.Type), "${schema.type}"`);
+        return violations;
+    }
+
+    if (schema.enum !== undefined) {
+        if (type !== 'STRING') {
+            add(`${field}.enum`, 'only allowed for STRING type');
+        } else if (!Array.isArray(schema.enum) || schema.enum.length === 0 || schema.enum.some(value => typeof value !== 'string')) {
+            add(`${field}.enum`, 'must be a non-empty array of strings');
+        }
+    }
+
+    if (schema.format !== undefined && type === 'STRING' && !STRING_FORMATS.includes(schema.format)) {
+        add(`${field}.format`, `Unsupported format "${schema.format}" for STRING type. Supported formats: ${STRING_FORMATS.join(', ')}`);
+    }
+
+    const minItems = getField(schema, 'min_items');
+    const maxItems = getField(schema, 'max_items');
+    if (minItems !== undefined && maxItems !== undefined && Number(minItems) > Number(maxItems)) {
+        add(`${field}.min_items`, 'min_items must not be greater than max_items');
+    }
+
+    if (schema.minimum !== undefined && schema.maximum !== undefined && schema.minimum > schema.maximum) {
+        add(`${field}.minimum`, 'minimum must not be greater than maximum');
+    }
+
+    if (type === 'ARRAY') {
+        if (!schema.items) {
+            add(`${field}.items`, 'missing field.');
+        } else {
+            violations.push(...validateSchema(schema.items, `${field}.items`));
+        }
+    }
+
+    const properties = schema.properties;
+    if (type === 'OBJECT') {
+        if (!properties || typeof properties !== 'object' || Object.keys(properties).length === 0) {
+            add(`${field}.properties`, 'should be non-empty for OBJECT type');
+            return violations;
+        }
+
+        for (const [name, propertySchema] of Object.entries(properties)) {
+            violations.push(...validateSchema(propertySchema, `${field}.properties[${name}]`));
+        }
+
+        const required = schema.required;
+        if (required !== undefined && !isNameList(required)) {
+            add(`${field}.required`, 'required must be an array of property names');
+        } else {
+            (required || []).forEach((name, index) => {
+                if (!(name in properties)) {
+                    add(`${field}.required[${index}]`, `property "${name}" is not defined in properties`);
+                }
+            });
+        }
+
+        const ordering = getField(schema, 'property_ordering');
+        if (ordering !== undefined && !isNameList(ordering)) {
+            add(`${field}.property_ordering`, 'property_ordering must be an array of property names');
+        } else if (ordering !== undefined) {
+            ordering.forEach((name, index) => {
+                if (!(name in properties)) {
+                    add(`${field}.property_ordering[${index}]`, `property "${name}" is not defined in properties`);
+                }
+            });
+
+            if (new Set(ordering).size !== ordering.length) {
+                add(`${field}.property_ordering`, 'property_ordering must not contain duplicates');
+            }
+        }
+    } else if (properties !== undefined) {
+        add(`${field}.properties`, 'only allowed for OBJECT type');
+    }
+
+    return violations;
+}
+
+/**
+ * Words from the prompt that can seed generated strings
+ */
+function promptTerms(text) {
+    return (text.match(/[A-Za-z][A-Za-z'-]{3,}/g) || []).map(word => word.toLowerCase());
+}
+
+function humanize(name) {
+    return name
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .toLowerCase();
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+class SchemaSynthesizer {
+    constructor(text, random) {
+        this.text = text || '';
+        this.terms = promptTerms(this.text);
+        this.random = random || Math.random;
+    }
+
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    term() {
+        return this.terms.length > 0 ? this.pick(this.terms) : this.pick(WORDS);
+    }
+
+    value(schema, name, index = 0) {
+        const anyOf = getField(schema, 'any_of');
+        if (anyOf) {
+            return this.value(anyOf[0], name, index);
+        }
+
+        const type = readType(schema);
+
+        switch (type) {
+            case 'OBJECT':
+                return this.object(schema, index);
+            case 'ARRAY':
+                return this.array(schema, name);
+            case 'INTEGER':
+                return Math.round(this.number(schema, true));
+            case 'NUMBER':
+                return this.number(schema, false);
+            case 'BOOLEAN':
+                return this.random() < 0.5;
+            case 'NULL':
+                return null;
+            default:
+                return this.string(schema, name, index);
+        }
+    }
+
+    /**
+     * Properties follow propertyOrdering when given and are otherwise alphabetical,
+     * as the API orders them. Optional properties are usually, not always, present
+     */
+    object(schema, index) {
+        const properties = schema.properties || {};
+        const required = isNameList(schema.required) ? schema.required : [];
+        const ordering = isNameList(getField(schema, 'property_ordering')) ?
+            getField(schema, 'property_ordering') : Object.keys(properties).sort();
+        const names = [...ordering, ...Object.keys(properties).filter(name => !ordering.includes(name)).sort()];
+        const result = {};
+
+        for (const name of names) {
+            if (required.includes(name) || this.random() < 0.8) {
+                result[name] = this.value(properties[name], name, index);
+            }
+        }
+
+        return result;
+    }
+
+    array(schema, name) {
+        const minItems = Number(getField(schema, 'min_items') ?? 1);
+        const maxItems = Number(getField(schema, 'max_items') ?? Math.max(minItems, 3));
+        const length = minItems + Math.floor(this.random() * (Math.max(maxItems, minItems) - minItems + 1));
+        const items = schema.items || { type: 'STRING' };
+
+        return Array.from({ length }, (value, index) => this.value(items, name, index));
+    }
+
+    number(schema, isInteger) {
+        const minimum = schema.minimum ?? (schema.maximum !== undefined ? Math.min(0, schema.maximum) : 0);
+        const maximum = schema.maximum ?? minimum + 100;
+        const value = minimum + this.random() * (maximum - minimum);
+
+        return isInteger ? Math.min(Math.max(Math.round(value), Math.ceil(minimum)), Math.floor(maximum)) : Math.round(value * 100) / 100;
+    }
+
+    string(schema, name, index) {
+        if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+            return this.enumValue(schema.enum);
+        }
+
+        const key = (name || '').toLowerCase();
+        let value;
+
+        if (schema.format === 'date-time') {
+            value = new Date(Date.UTC(2025, 0, 1 + index)).toISOString();
+        } else if (schema.format === 'date' || /date$/.test(key)) {
+            value = new Date(Date.UTC(2025, 0, 1 + index)).toISOString().split('T')[0];
+        } else if (schema.format === 'time') {
+            value = `${String(9 + index % 9).padStart(2, '0')}:00:00`;
+        } else if (schema.format === 'email' || /email/.test(key)) {
+            value = `${this.term()}${index + 1}@example.com`;
+        } else if (schema.format === 'uri' || /(url|uri|link)$/.test(key)) {
+            value = `https://example.com/${this.term()}`;
+        } else if (schema.format === 'uuid' || /(^|_)id$|Id$/.test(name || '')) {
+            value = `${this.term().slice(0, 4)}-${String(index + 1).padStart(4, '0')}`;
+        } else if (/(description|summary|explanation|reason|details|notes|text|content)/.test(key)) {
+            value = `${capitalize(humanize(name))} covering ${this.term()} and ${this.term()}.`;
+        } else {
+            value = `${capitalize(this.term())} ${humanize(name || 'item')} ${index + 1}`;
+        }
+
+        const maxLength = getField(schema, 'max_length');
+        const minLength = getField(schema, 'min_length');
+
+        if (maxLength !== undefined) {
+            value = value.slice(0, Number(maxLength));
+        }
+        if (minLength !== undefined && value.length < Number(minLength)) {
+            value = value.padEnd(Number(minLength), 'x');
+        }
+
+        return value;
+    }
+
+    /**
+     * Prefers an enum value the prompt mentions
+     */
+    enumValue(values) {
+        const lowerText = this.text.toLowerCase();
+        return values.find(value => lowerText.includes(String(value).toLowerCase())) || this.pick(values);
+    }
+}
+
+/**
+ * Builds the response text for a structured output request
+ * @param {object} options - { mimeType, schema, jsonSchema, prompt, fallbackText, random }
+ * @returns {string} JSON document, enum value or the unchanged fallback text
+ */
+function generateStructuredOutput({ mimeType, schema, jsonSchema, prompt, fallbackText, random }) {
+    const synthesizer = new SchemaSynthesizer(prompt, random);
+
+    if (mimeType === 'text/x.enum') {
+        return synthesizer.enumValue(schema.enum);
+    }
+
+    if (mimeType !== 'application/json') {
+        return fallbackText;
+    }
+
+    if (!schema && !jsonSchema) {
+        return JSON.stringify({ response: fallbackText });
+    }
+
+    return JSON.stringify(synthesizer.value(schema || jsonSchema, 'response'));
+}
+
+module.exports = {
+    validateSchema,
+    generateStructuredOutput
+};
@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+
+/**
+ * Live API Client
+ * Runs a scripted BidiGenerateContent WebSocket session against the mock server (or the
+ * real API) and prints what the server sends back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const LIVE_PATH = '/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+const DEFAULT_MODEL = 'gemini-2.0-flash-live-001';
+const INPUT_MIME_TYPE = 'audio/pcm;rate=16000';
+const INPUT_BYTES_PER_SECOND = 16000 * 2;
+const AUDIO_CHUNK_MS = 100;
+const WAIT_TIMEOUT_MS = 30000;
+
+class LiveClient {
+    /**
+     * @param {object} options - { url, apiKey, json, audioOut }; json prints raw server
+     *   messages, audioOut is a file the model's PCM audio is written to
+     */
+    constructor(options = {}) {
+        this.url = options.url || `ws://localhost:${process.env.MOCK_SERVER_PORT || 3000}`;
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY || 'test-key';
+        this.json = Boolean(options.json);
+        this.audioOut = options.audioOut;
+        this.socket = null;
+        this.seen = {};
+        this.consumed = {};
+        this.waiters = [];
+        this.audio = [];
+        this.toolResponses = undefined;
+    }
+
+    /**
+     * Runs the script's steps in order, then closes the session
+     * @param {object} script - { model, setup, toolResponses, steps }. setup is merged
+     *   into the setup message; toolResponses maps function names to the response sent
+     *   for their calls ({ result: 'ok' } by default), or false to leave calls unanswered
+     * @returns {Promise<number>} The close code
+     */
+    async run(script) {
+        this.toolResponses = script.toolResponses;
+
+        await this.connect();
+
+        this.send({
+            setup: {
+                model: `models/${(script.model || DEFAULT_MODEL).replace(/^models\//, '')}`,
+                ...script.setup
+            }
+        });
+        await this.waitFor('setupComplete');
+
+        for (const step of script.steps || []) {
+            await this.runStep(step);
+        }
+
+        return this.close();
+    }
+
+    connect() {
+        const url = `${this.url.replace(/^http/, 'ws').replace(/\/$/, '')}${LIVE_PATH}?key=${encodeURIComponent(this.apiKey)}`;
+
+        return new Promise((resolve, reject) => {
+            this.socket = new WebSocket(url);
+            this.socket.once('open', resolve);
+            this.socket.once('error', reject);
+            this.socket.on('message', data => this.handleMessage(JSON.parse(data.toString())));
+            this.socket.on('close', (code, reason) => {
+                const error = new Error(`Session closed (${code}): ${reason.toString() || 'no reason given'}`);
+                this.closeCode = code;
+                this.waiters.forEach(waiter => waiter.reject(error));
+                this.waiters = [];
+            });
+        });
+    }
+
+    async runStep(step) {
+        if (step.send) {
+            this.send(step.send);
+        } else if (step.text !== undefined) {
+            this.send({ clientContent: { turns: [{ role: 'user', parts: [{ text: step.text }] }], turnComplete: true } });
+        } else if (step.realtimeText !== undefined) {
+            this.send({ realtimeInput: { text: step.realtimeText } });
+        } else if (step.audio) {
+            await this.sendAudio(step.audio);
+        } else if (step.waitFor) {
+            await this.waitFor(step.waitFor);
+        } else if (step.sleep) {
+            await new Promise(resolve => setTimeout(resolve, step.sleep));
+        } else {
+            throw new Error(`Unknown step: ${JSON.stringify(step)}`);
+        }
+    }
+
+    /**
+     * Streams 16kHz PCM in 100ms chunks at real-time pace: the contents of a raw PCM file,
+     * or silence of the given length. end sends audioStreamEnd afterwards
+     */
+    async sendAudio({ file, seconds = 1, end = false }) {
+        const audio = file ?
+            fs.readFileSync(path.resolve(file)) :
+            Buffer.alloc(Math.round(seconds * INPUT_BYTES_PER_SECOND / 2) * 2);
+        const chunkBytes = INPUT_BYTES_PER_SECOND * AUDIO_CHUNK_MS / 1000;
+
+        this.print(`> audio ${(audio.length / INPUT_BYTES_PER_SECOND).toFixed(1)}s`);
+
+        for (let offset = 0; offset < audio.length; offset += chunkBytes) {
+            this.send({ realtimeInput: { audio: { mimeType: INPUT_MIME_TYPE, data: audio.subarray(offset, offset + chunkBytes).toString('base64') } } }, true);
+            await new Promise(resolve => setTimeout(resolve, AUDIO_CHUNK_MS));
+        }
+
+        if (end) {
+            this.send({ realtimeInput: { audioStreamEnd: true } });
+        }
+    }
+
+    /**
+     * Resolves on the next occurrence of a server event that no earlier wait consumed:
+     * setupComplete, turnComplete, generationComplete, interrupted, toolCall,
+     * toolCallCancellation or goAway
+     */
+    waitFor(event) {
+        if ((this.seen[event] || 0) > (this.consumed[event] || 0)) {
+            this.consumed[event] = (this.consumed[event] || 0) + 1;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), WAIT_TIMEOUT_MS);
+
+            this.waiters.push({
+                event,
+                resolve: () => {
+                    clearTimeout(timer);
+                    resolve();
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    handleMessage(message) {
+        const content = message.serverContent || {};
+        const events = [
+            message.setupComplete && 'setupComplete',
+            message.toolCall && 'toolCall',
+            message.toolCallCancellation && 'toolCallCancellation',
+            message.goAway && 'goAway',
+            content.generationComplete && 'generationComplete',
+            content.interrupted && 'interrupted',
+            content.turnComplete && 'turnComplete'
+        ].filter(Boolean);
+
+        if (this.json) {
+            this.print(`< ${JSON.stringify(message)}`);
+        } else {
+            this.describe(message);
+        }
+
+        for (const part of content.modelTurn?.parts || []) {
+            if (part.inlineData) {
+                this.audio.push(Buffer.from(part.inlineData.data, 'base64'));
+            }
+        }
+
+        if (message.toolCall && this.toolResponses !== false) {
+            this.send({
+                toolResponse: {
+                    functionResponses: message.toolCall.functionCalls.map(call => ({
+                        id: call.id,
+                        name: call.name,
+                        response: this.toolResponses?.[call.name] || { result: 'ok' }
+                    }))
+                }
+            });
+        }
+
+        for (const event of events) {
+            this.seen[event] = (this.seen[event] || 0) + 1;
+
+            const index = this.waiters.findIndex(waiter => waiter.event === event);
+            if (index !== -1) {
+                this.consumed[event] = (this.consumed[event] || 0) + 1;
+                this.waiters.splice(index, 1)[0].resolve();
+            }
+        }
+    }
+
+    describe(message) {
+        const content = message.serverContent || {};
+
+        if (message.setupComplete) {
+            this.print('< setupComplete');
+        }
+        if (content.inputTranscription) {
+            this.print(`< inputTranscription: ${JSON.stringify(content.inputTranscription.text)}`);
+        }
+        for (const part of content.modelTurn?.parts || []) {
+            if (part.text !== undefined) {
+                this.print(`< text: ${JSON.stringify(part.text)}`);
+            } else if (part.inlineData) {
+                this.print(`< audio: ${Buffer.byteLength(part.inlineData.data, 'base64')} bytes ${part.inlineData.mimeType}`);
+            }
+        }
+        if (content.outputTranscription) {
+            this.print(`< outputTranscription: ${JSON.stringify(content.outputTranscription.text)}`);
+        }
+        if (content.interrupted) {
+            this.print('< interrupted');
+        }
+        if (content.generationComplete) {
+            this.print('< generationComplete');
+        }
+        if (content.turnComplete) {
+            const usage = message.usageMetadata || {};
+            this.print(`< turnComplete (${usage.promptTokenCount || 0} prompt, ${usage.responseTokenCount || 0} response tokens)`);
+        }
+        if (message.toolCall) {
+            message.toolCall.functionCalls.forEach(call =>
+                this.print(`< toolCall ${call.id}: ${call.name}(${JSON.stringify(call.args)})`));
+        }
+        if (message.toolCallCancellation) {
+            this.print(`< toolCallCancellation: ${message.toolCallCancellation.ids.join(', ')}`);
+        }
+        if (message.goAway) {
+            this.print(`< goAway (${message.goAway.timeLeft} left)`);
+        }
+    }
+
+    send(message, quiet = false) {
+        if (!quiet) {
+            this.print(`> ${this.json ? JSON.stringify(message) : Object.keys(message)[0]}`);
+        }
+        this.socket.send(JSON.stringify(message));
+    }
+
+    print(line) {
+        console.log(line);
+    }
+
+    /**
+     * Ends the session and writes any received audio to audioOut
+     * @returns {Promise<number>} The close code
+     */
+    close() {
+        return new Promise(resolve => {
+            const finish = () => {
+                if (this.audioOut && this.audio.length > 0) {
+                    fs.writeFileSync(this.audioOut, Buffer.concat(this.audio));
+                    this.print(`Wrote ${Buffer.concat(this.audio).length} bytes of 24kHz 16-bit PCM to ${this.audioOut}`);
+                }
+                resolve(this.closeCode);
+            };
+
+            if (this.socket.readyState === WebSocket.CLOSED) {
+                return finish();
+            }
+
+            this.socket.once('close', finish);
+            this.socket.close(1000);
+        });
+    }
+}
+
+// CLI interface
+async function main() {
+    const options = {};
+    const prompts = [];
+    let scriptFile = null;
+    let model = null;
+    let modality = 'TEXT';
+
+    process.argv.slice(2).forEach(arg => {
+        if (arg.startsWith('--url=')) {
+            options.url = arg.slice('--url='.length);
+        } else if (arg.startsWith('--key=')) {
+            options.apiKey = arg.slice('--key='.length);
+        } else if (arg.startsWith('--model=')) {
+            model = arg.slice('--model='.length);
+        } else if (arg.startsWith('--modality=')) {
+            modality = arg.slice('--modality='.length).toUpperCase();
+        } else if (arg.startsWith('--text=')) {
+            prompts.push(arg.slice('--text='.length));
+        } else if (arg.startsWith('--audio-out=')) {
+            options.audioOut = arg.slice('--audio-out='.length);
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (!arg.startsWith('--')) {
+            scriptFile = arg;
+        }
+    });
+
+    if (!scriptFile && prompts.length === 0) {
+        console.log('Gemini Live API Client');
+        console.log('');
+        console.log('Usage: node live-client.js [script.json] [options]');
+        console.log('');
+        console.log('Options:');
+        console.log('  --url=<url>          Server to connect to (default: ws://localhost:3000)');
+        console.log('  --key=<key>          API key (default: GEMINI_API_KEY)');
+        console.log(`  --model=<model>      Live model (default: ${DEFAULT_MODEL})`);
+        console.log('  --text=<prompt>      Send a text turn and wait for the reply; repeatable');
+        console.log('  --modality=<m>       Response modality for --text sessions: TEXT (default) or AUDIO');
+        console.log('  --audio-out=<file>   Write the audio the model sends to a raw PCM file');
+        console.log('  --json               Print raw server messages');
+        console.log('');
+        console.log('Examples:');
+        console.log('  node live-client.js --text="Hello" --text="Tell me more"');
+        console.log('  node live-client.js --text="Hi" --modality=AUDIO --audio-out=reply.pcm');
+        console.log('  node live-client.js mocks/live-scripts/tools.json');
+        process.exit(1);
+    }
+
+    const script = scriptFile ?
+        JSON.parse(fs.readFileSync(path.resolve(scriptFile), 'utf8')) :
+        {
+            setup: { generationConfig: { responseModalities: [modality] } },
+            steps: prompts.flatMap(text => [{ text }, { waitFor: 'turnComplete' }])
+        };
+
+    if (model) {
+        script.model = model;
+    }
+
+    const client = new LiveClient(options);
+
+    try {
+        const code = await client.run(script);
+        process.exit(code === 1000 || code === 1005 ? 0 : 1);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = LiveClient;
@@ -37,7 +37,16 @@ class MockServerManager {
 
         // Start server process
         this.serverProcess = spawn('node', [serverScript], {
-            env: { ...process.env, MOCK_SERVER_PORT: port },
+            env: {
+                ...process.env,
+                MOCK_SERVER_PORT: port,
+                ...(options.profile && { MOCK_PROFILE: options.profile }),
+                ...(options.mode && { MOCK_MODE: options.mode }),
+                ...(options.upstream && { MOCK_UPSTREAM: options.upstream }),
+                ...(options.cassette && { MOCK_CASSETTE: options.cassette }),
+                ...(options.seed !== undefined && { MOCK_SEED: options.seed }),
+                ...(options.zeroLatency && { MOCK_ZERO_LATENCY: 'true' })
+            },
             detached: options.daemon || false,
             stdio: options.daemon ? ['ignore', 'pipe', 'pipe'] : 'inherit'
         });
@@ -238,6 +247,18 @@ function main() {
             options.tail = true;
         } else if (arg.startsWith('--lines=')) {
             options.lines = parseInt(arg.split('=')[1]);
+        } else if (arg.startsWith('--profile=')) {
+            options.profile = arg.split('=')[1];
+        } else if (arg.startsWith('--mode=')) {
+            options.mode = arg.split('=')[1];
+        } else if (arg.startsWith('--upstream=')) {
+            options.upstream = arg.slice('--upstream='.length);
+        } else if (arg.startsWith('--cassette=')) {
+            options.cassette = arg.slice('--cassette='.length);
+        } else if (arg.startsWith('--seed=')) {
+            options.seed = arg.slice('--seed='.length);
+        } else if (arg === '--zero-latency') {
+            options.zeroLatency = true;
         }
     });
 
@@ -274,9 +295,18 @@ function main() {
             console.log('  --port=<port>     Specify port number (default: 3000)');
             console.log('  --tail, -t        Tail logs in real-time');
             console.log('  --lines=<n>       Number of log lines to show (default: 50)');
+            console.log('  --profile=<name>  Fault profile: default, flaky, overloaded, chaos');
+            console.log('  --mode=<mode>     mock (default), record or replay');
+            console.log('  --upstream=<url>  API to proxy to in record mode');
+            console.log('  --cassette=<name> Cassette file in mocks/cassettes (default: default)');
+            console.log('  --seed=<value>    Make random choices, delays and faults reproducible');
+            console.log('  --zero-latency    Disable all simulated delays');
             console.log('');
             console.log('Examples:');
             console.log('  node start-mock-server.js start --daemon --port=3001');
+            console.log('  node start-mock-server.js start --profile=flaky');
+            console.log('  node start-mock-server.js start --mode=record --cassette=smoke');
+            console.log('  node start-mock-server.js start --seed=42 --zero-latency');
             console.log('  node start-mock-server.js logs --tail');
             break;
     }
@@ -88,7 +88,11 @@ class CollectionValidator {
             this.validateUrl(request.url, path);
         }
 
-        if (request.body && request.body.mode === 'raw') {
+        // Only JSON bodies are checked; uploads send media as raw bodies too
+        const contentType = (request.header || []).find(header => header.key.toLowerCase() === 'content-type');
+        const isJson = !contentType || contentType.value.includes('json');
+
+        if (request.body && request.body.mode === 'raw' && isJson) {
             this.validateRequestBody(request.body.raw, path);
         }
     }